@@ -1,31 +1,158 @@
+import express from "express";
+
 import controlController from "./controllers/control-controller.js";
+import demandController from "./controllers/demand-controller.js";
+import elevatorController from "./controllers/elevator-controller.js";
+import historyController from "./controllers/history-controller.js";
+import openmetricsController from "./controllers/openmetrics-controller.js";
+import replayController from "./controllers/replay-controller.js";
 import requestController from "./controllers/request-controller.js";
+import scenarioController from "./controllers/scenario-controller.js";
+import sessionController from "./controllers/session-controller.js";
+import traceController from "./controllers/trace-controller.js";
+import trafficController from "./controllers/traffic-controller.js";
 
 // Routes specified for debugging / testing purposes
 // Currently only metrics api is used by frontend for getting
 // periodical simulation metrics data
 
-export default function createApp(app, simService) {
-  app.post("/api/control/start", (req, res) =>
-    controlController.start(req, res, simService)
+// Per-simulation routes. Mounted twice: under /api for the default sim
+// and under /api/sims/:id for any other session (req.sim set by middleware).
+const createSimRouter = () => {
+  const router = express.Router({ mergeParams: true });
+
+  router.post("/control/start", (req, res) =>
+    controlController.start(req, res, req.sim)
+  );
+  router.post("/control/stop", (req, res) =>
+    controlController.stop(req, res, req.sim)
+  );
+  router.post("/control/reset", (req, res) =>
+    controlController.reset(req, res, req.sim)
+  );
+  router.post("/control/speed", (req, res) =>
+    controlController.speed(req, res, req.sim)
+  );
+  router.post("/control/strategy", (req, res) =>
+    controlController.strategy(req, res, req.sim)
+  );
+  router.get("/strategies", (req, res) =>
+    controlController.strategies(req, res, req.sim)
+  );
+
+  router.post("/elevators/:elevatorId/fault", (req, res) =>
+    elevatorController.injectFault(req, res, req.sim)
   );
-  app.post("/api/control/stop", (req, res) =>
-    controlController.stop(req, res, simService)
+  router.delete("/elevators/:elevatorId/fault", (req, res) =>
+    elevatorController.clearFault(req, res, req.sim)
   );
-  app.post("/api/control/reset", (req, res) =>
-    controlController.reset(req, res, simService)
+
+  router.post("/requests", (req, res) =>
+    requestController.addRequest(req, res, req.sim)
+  );
+  router.get("/requests", (req, res) =>
+    requestController.listRequests(req, res, req.sim)
+  );
+  router.get("/requests/:id", (req, res) =>
+    requestController.getRequest(req, res, req.sim)
+  );
+  router.delete("/requests/:id", (req, res) =>
+    requestController.cancelRequest(req, res, req.sim)
+  );
+  router.post("/requests/:id/reassign", (req, res) =>
+    requestController.reassignRequest(req, res, req.sim)
   );
-  app.post("/api/control/speed", (req, res) =>
-    controlController.speed(req, res, simService)
+  router.post("/scenario", (req, res) =>
+    requestController.spawnScenario(req, res, req.sim)
+  );
+  router.get("/scenario", (req, res) =>
+    requestController.scenarioRuns(req, res, req.sim)
+  );
+  router.delete("/scenario", (req, res) =>
+    requestController.cancelScenario(req, res, req.sim)
+  );
+  router.delete("/scenario/:runId", (req, res) =>
+    requestController.cancelScenario(req, res, req.sim)
   );
 
-  app.post("/api/requests", (req, res) =>
-    requestController.addRequest(req, res, simService)
+  router.post("/replay", (req, res) =>
+    replayController.start(req, res, req.sim)
   );
-  app.post("/api/scenario", (req, res) =>
-    requestController.spawnScenario(req, res, simService)
+  router.get("/replay", (req, res) =>
+    replayController.status(req, res, req.sim)
+  );
+  router.delete("/replay", (req, res) =>
+    replayController.stop(req, res, req.sim)
   );
 
-  app.get("/api/state", (req, res) => res.json(simService.snapshot()));
-  app.get("/api/metrics", (req, res) => res.json(simService.metricsSnapshot()));
+  router.post("/traffic", (req, res) =>
+    trafficController.start(req, res, req.sim)
+  );
+  router.get("/traffic", (req, res) =>
+    trafficController.status(req, res, req.sim)
+  );
+  router.delete("/traffic", (req, res) =>
+    trafficController.stop(req, res, req.sim)
+  );
+
+  router.get("/trace", (req, res) =>
+    traceController.download(req, res, req.sim)
+  );
+  router.get("/trace/status", (req, res) =>
+    traceController.status(req, res, req.sim)
+  );
+
+  router.get("/demand", (req, res) =>
+    demandController.profile(req, res, req.sim)
+  );
+  router.delete("/demand", (req, res) =>
+    demandController.reset(req, res, req.sim)
+  );
+
+  router.get("/state", (req, res) => res.json(req.sim.snapshot()));
+  router.get("/metrics/history", (req, res) =>
+    historyController.history(req, res, req.sim)
+  );
+  router.get("/metrics/history/runs", (req, res) =>
+    historyController.runs(req, res, req.sim)
+  );
+  router.get("/metrics", (req, res) => {
+    // ?longWaitMs= sets the long-wait threshold (default 60s)
+    const longWaitMs = Number(req.query.longWaitMs);
+    res.json(
+      req.sim.metricsSnapshot(
+        Number.isFinite(longWaitMs) && longWaitMs > 0 ? { longWaitMs } : {}
+      )
+    );
+  });
+
+  return router;
+};
+
+export default function createApp(app, simService) {
+  const simRouter = createSimRouter();
+
+  app.get("/api/sims", sessionController.list);
+  app.post("/api/sims", sessionController.create);
+  app.delete("/api/sims/:id", sessionController.destroy);
+  app.use("/api/sims/:id", sessionController.loadSim, simRouter);
+
+  // Prometheus / OpenMetrics scrape target, covers every sim
+  app.get("/metrics", openmetricsController.scrape);
+
+  // scenario library is shared by all sims
+  app.get("/api/scenarios", scenarioController.list);
+  app.post("/api/scenarios", scenarioController.create);
+  app.get("/api/scenarios/:name", scenarioController.get);
+  app.put("/api/scenarios/:name", scenarioController.update);
+  app.delete("/api/scenarios/:name", scenarioController.remove);
+
+  app.use(
+    "/api",
+    (req, res, next) => {
+      req.sim = simService;
+      next();
+    },
+    simRouter
+  );
 }
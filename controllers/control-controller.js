@@ -1,3 +1,5 @@
+import { listStrategies } from "../services/strategies/index.js";
+
 const start = (req, res, sim) => {
   sim.start();
   res.json({ ok: true });
@@ -17,9 +19,37 @@ const speed = (req, res, sim) => {
   res.json({ ok: true, speed: sim.speed });
 };
 
+const strategies = (req, res, sim) => {
+  res.json({
+    ok: true,
+    current: sim.config.strategy,
+    strategies: listStrategies(),
+  });
+};
+
+const strategy = (req, res, sim) => {
+  const { strategy } = req.body || {};
+  if (!strategy || typeof strategy !== "string") {
+    return res.status(400).json({
+      ok: false,
+      error: "'strategy' must be provided.",
+    });
+  }
+
+  try {
+    sim.setStrategy(strategy);
+    sim.broadcast();
+    res.json({ ok: true, strategy: sim.config.strategy });
+  } catch (err) {
+    res.status(400).json({ ok: false, error: err.message || String(err) });
+  }
+};
+
 export default {
   start,
   stop,
   reset,
   speed,
+  strategies,
+  strategy,
 };
@@ -0,0 +1,22 @@
+// Learned traffic profile of the sim (see services/demand-service.js)
+const profile = (req, res, sim) => {
+  if (!sim.demand) {
+    return res.status(404).json({
+      ok: false,
+      error: "Simulation is not initialized yet.",
+    });
+  }
+  res.json({ ok: true, demand: sim.demand.profile(sim.clock.now()) });
+};
+
+// Start learning from scratch (the profile is kept across resets otherwise)
+const reset = (req, res, sim) => {
+  sim.resetDemand();
+  sim.broadcast();
+  res.json({ ok: true, message: "Learned demand cleared." });
+};
+
+export default {
+  profile,
+  reset,
+};
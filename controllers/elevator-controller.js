@@ -0,0 +1,27 @@
+// Fault injection: POST /elevators/:elevatorId/fault { fault }, DELETE to clear it
+
+const injectFault = (req, res, sim) => {
+  const { fault } = req.body || {};
+  const result = sim.injectFault(req.params.elevatorId, fault);
+  if (!result.ok) {
+    const status = result.message.includes("not found") ? 404 : 400;
+    return res.status(status).json({ ok: false, error: result.message });
+  }
+  sim.broadcast();
+  return res.json({ ok: true, message: result.message });
+};
+
+const clearFault = (req, res, sim) => {
+  const result = sim.clearFault(req.params.elevatorId);
+  if (!result.ok) {
+    const status = result.message.includes("not found") ? 404 : 400;
+    return res.status(status).json({ ok: false, error: result.message });
+  }
+  sim.broadcast();
+  return res.json({ ok: true, message: result.message });
+};
+
+export default {
+  injectFault,
+  clearFault,
+};
@@ -0,0 +1,76 @@
+import { isRunOf } from "../lib/run-file.js";
+import {
+  listRuns,
+  readRun,
+  selectSamples,
+} from "../services/history-service.js";
+
+// Metrics time series (see services/history-service.js).
+// GET /metrics/history?from&to&step&run - from/to/step in sim-ms of the run,
+// run = runId of an earlier run (default: the current one).
+
+const parseRange = (query) => {
+  const range = {};
+  for (const key of ["from", "to", "step"]) {
+    if (query[key] == null || query[key] === "") continue;
+    const value = Number(query[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw new Error(`'${key}' must be a non-negative number (sim-ms).`);
+    }
+    range[key] = value;
+  }
+  if (range.from != null && range.to != null && range.to < range.from) {
+    throw new Error("'to' must not be before 'from'.");
+  }
+  return range;
+};
+
+const history = async (req, res, sim) => {
+  let range;
+  try {
+    range = parseRange(req.query);
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: err.message });
+  }
+
+  const current = sim.history;
+  const runId = req.query.run || (current && current.runId);
+  if (!runId) {
+    return res.status(404).json({
+      ok: false,
+      error:
+        "Metrics history is not kept for this simulation (headless runs have none).",
+    });
+  }
+
+  if (current && runId === current.runId) {
+    return res.json({
+      ok: true,
+      runId,
+      intervalMs: current.intervalMs,
+      samples: await current.query(range),
+    });
+  }
+
+  // runs of other sims are treated as unknown
+  const samples = isRunOf(runId, sim.id) ? readRun(runId) : null;
+  if (!samples) {
+    return res
+      .status(404)
+      .json({ ok: false, error: `No metrics history for run "${runId}".` });
+  }
+  return res.json({ ok: true, runId, samples: selectSamples(samples, range) });
+};
+
+const runs = (req, res, sim) => {
+  res.json({
+    ok: true,
+    current: sim.history ? sim.history.status() : null,
+    runs: listRuns(sim.id),
+  });
+};
+
+export default {
+  history,
+  runs,
+};
@@ -0,0 +1,20 @@
+import { listSimulations } from "../services/session-service.js";
+import {
+  CONTENT_TYPE,
+  renderOpenMetrics,
+} from "../services/openmetrics-service.js";
+
+// Prometheus scrape endpoint (see services/openmetrics-service.js)
+const scrape = (req, res) => {
+  try {
+    res.set("Content-Type", CONTENT_TYPE);
+    res.send(renderOpenMetrics(listSimulations()));
+  } catch (err) {
+    console.error("Error rendering metrics:", err);
+    res.status(500).type("text/plain").send("Failed to render metrics.\n");
+  }
+};
+
+export default {
+  scrape,
+};
@@ -0,0 +1,44 @@
+// Trace replay endpoints. Body: { trace: "<jsonl>" } or { entries: [...] },
+// optional rebase: false to use the trace timestamps as absolute sim times.
+
+const start = (req, res, sim) => {
+  const body = req.body || {};
+  const trace = body.trace != null ? body.trace : body.entries;
+
+  if (trace == null || (typeof trace !== "string" && !Array.isArray(trace))) {
+    return res.status(400).json({
+      ok: false,
+      error: "Provide 'trace' (JSONL string) or 'entries' (array).",
+    });
+  }
+
+  try {
+    const result = sim.startReplay(trace, { rebase: body.rebase !== false });
+    if (!result.ok) {
+      return res
+        .status(400)
+        .json({ ok: false, error: result.message, errors: result.errors });
+    }
+    return res.json(result);
+  } catch (err) {
+    console.error("Error starting replay:", err);
+    return res.status(400).json({
+      ok: false,
+      error: "Failed to start replay: " + (err.message || err),
+    });
+  }
+};
+
+const status = (req, res, sim) => {
+  res.json({ ok: true, replay: sim.replay ? sim.replay.status() : null });
+};
+
+const stop = (req, res, sim) => {
+  res.json({ ok: true, stopped: sim.stopReplay() });
+};
+
+export default {
+  start,
+  status,
+  stop,
+};
@@ -1,34 +1,61 @@
+import { REQUEST_STATUSES } from "../services/lifecycle-service.js";
+import { getScenario } from "../services/scenario-service.js";
+
+const MAX_PAGE_SIZE = 500;
+
 const addRequest = (req, res, sim) => {
   try {
     const body = req.body || {};
 
-    // Basic validation
-    if (!body.origin || !body.destination) {
-      return res.status(400).json({
-        ok: false,
-        error: "Both 'origin' and 'destination' must be provided.",
-      });
-    }
+    // Hall call: up/down button without a destination (picked on boarding)
+    const hallCall = body.destination == null && body.direction != null;
+    if (hallCall) {
+      if (!["up", "down"].includes(body.direction)) {
+        return res.status(400).json({
+          ok: false,
+          error: 'Direction must be "up" or "down".',
+        });
+      }
+      if (
+        typeof body.origin !== "number" ||
+        body.origin < 1 ||
+        body.origin > sim.config.nFloors
+      ) {
+        return res.status(400).json({
+          ok: false,
+          error: `Origin must be a number between 1 and ${sim.config.nFloors}.`,
+        });
+      }
+    } else {
+      // Basic validation
+      if (!body.origin || !body.destination) {
+        return res.status(400).json({
+          ok: false,
+          error:
+            "Both 'origin' and 'destination' (or a 'direction' for hall calls) must be provided.",
+        });
+      }
 
-    if (body.origin === body.destination) {
-      return res.status(400).json({
-        ok: false,
-        error: "Origin and destination cannot be the same floor.",
-      });
-    }
+      if (body.origin === body.destination) {
+        return res.status(400).json({
+          ok: false,
+          error: "Origin and destination cannot be the same floor.",
+        });
+      }
 
-    if (
-      typeof body.origin !== "number" ||
-      typeof body.destination !== "number" ||
-      body.origin < 1 ||
-      body.destination < 1 ||
-      body.origin > sim.config.nFloors ||
-      body.destination > sim.config.nFloors
-    ) {
-      return res.status(400).json({
-        ok: false,
-        error: `Origin and destination must be numbers between 1 and ${sim.config.nFloors}.`,
-      });
+      if (
+        typeof body.origin !== "number" ||
+        typeof body.destination !== "number" ||
+        body.origin < 1 ||
+        body.destination < 1 ||
+        body.origin > sim.config.nFloors ||
+        body.destination > sim.config.nFloors
+      ) {
+        return res.status(400).json({
+          ok: false,
+          error: `Origin and destination must be numbers between 1 and ${sim.config.nFloors}.`,
+        });
+      }
     }
 
     // Try adding request to simulation
@@ -42,6 +69,8 @@ const addRequest = (req, res, sim) => {
       ok: true,
       message: result.message,
       request: result.request,
+      // set right away in destination dispatch mode, null while queued otherwise
+      assignedTo: result.request.assignedTo || null,
     });
   } catch (err) {
     console.error("Error in addRequest:", err);
@@ -53,26 +82,22 @@ const addRequest = (req, res, sim) => {
 };
 
 const spawnScenario = (req, res, sim) => {
-  const { name, count } = req.body;
-
-  // validate scenario name
-  if (!["morningRush", "randomBurst"].includes(name)) {
-    return res.status(400).json({
-      ok: false,
-      error: `Invalid scenario name "${name}". Allowed: morningRush, randomBurst.`,
-    });
-  }
+  const { name, count, arrival = null } = req.body || {};
 
-  if (count > 250) {
+  // validate scenario name (built-in or stored in the scenario library)
+  if (typeof name !== "string" || !getScenario(name)) {
     return res.status(400).json({
       ok: false,
-      error: `Count too large "${count}". Max allowed is 200.`,
+      error: `Invalid scenario name "${name}". See GET /api/scenarios.`,
     });
   }
 
   try {
-    sim.spawnScenario(name, count);
-    return res.json({ ok: true });
+    const result = sim.spawnScenario(name, count, arrival);
+    if (!result.ok) {
+      return res.status(400).json({ ok: false, error: result.message });
+    }
+    return res.json({ ok: true, id: result.id, message: result.message });
   } catch (err) {
     console.error("Error spawning scenario:", err);
     return res.status(500).json({
@@ -82,7 +107,110 @@ const spawnScenario = (req, res, sim) => {
   }
 };
 
+// GET /requests?status=pending|assigned|onboard|served&offset=0&limit=50
+const listRequests = (req, res, sim) => {
+  const { status = null } = req.query;
+  if (status != null && !REQUEST_STATUSES.includes(status)) {
+    return res.status(400).json({
+      ok: false,
+      error: `Invalid status "${status}". Allowed: ${REQUEST_STATUSES.join(
+        ", "
+      )}.`,
+    });
+  }
+  const offset = req.query.offset != null ? Number(req.query.offset) : 0;
+  const limit = req.query.limit != null ? Number(req.query.limit) : 50;
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res
+      .status(400)
+      .json({ ok: false, error: "'offset' must be a non-negative integer." });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({
+      ok: false,
+      error: `'limit' must be an integer between 1 and ${MAX_PAGE_SIZE}.`,
+    });
+  }
+  res.json({ ok: true, ...sim.lifecycle.list({ status, offset, limit }) });
+};
+
+// GET /requests/:id - the request with its status and event history
+const getRequest = (req, res, sim) => {
+  const request = sim.lifecycle.get(req.params.id);
+  if (!request) {
+    return res
+      .status(404)
+      .json({ ok: false, error: `Request ${req.params.id} not found.` });
+  }
+  res.json({ ok: true, request });
+};
+
+// DELETE /requests/:id - withdraw a request that hasn't been picked up
+const cancelRequest = (req, res, sim) => {
+  const { id } = req.params;
+  if (!sim.lifecycle.get(id)) {
+    return res
+      .status(404)
+      .json({ ok: false, error: `Request ${id} not found.` });
+  }
+  const result = sim.cancelRequest(id);
+  if (!result.ok) {
+    return res.status(409).json({ ok: false, error: result.message });
+  }
+  sim.broadcast();
+  return res.json({ ok: true, message: result.message });
+};
+
+// POST /requests/:id/reassign { elevatorId } - operator moves a waiting request to a car
+const reassignRequest = (req, res, sim) => {
+  const { id } = req.params;
+  const { elevatorId } = req.body || {};
+  if (elevatorId == null) {
+    return res
+      .status(400)
+      .json({ ok: false, error: "'elevatorId' is required." });
+  }
+  if (!sim.lifecycle.get(id)) {
+    return res
+      .status(404)
+      .json({ ok: false, error: `Request ${id} not found.` });
+  }
+  const result = sim.reassignRequest(id, elevatorId);
+  if (!result.ok) {
+    return res.status(409).json({ ok: false, error: result.message });
+  }
+  sim.broadcast();
+  return res.json({ ok: true, message: result.message });
+};
+
+// Scenarios still injecting requests (spread-out arrivals)
+const scenarioRuns = (req, res, sim) => {
+  res.json({ ok: true, scenarios: sim.scenarioStatus() });
+};
+
+// Cancel one running scenario (:runId) or all of them
+const cancelScenario = (req, res, sim) => {
+  const id = req.params.runId ?? null;
+  const cancelled = sim.cancelScenario(id);
+  if (id != null && !cancelled) {
+    return res
+      .status(404)
+      .json({ ok: false, error: `No running scenario "${id}".` });
+  }
+  return res.json({
+    ok: true,
+    cancelled,
+    message: `Cancelled ${cancelled} scenario run(s).`,
+  });
+};
+
 export default {
   addRequest,
+  listRequests,
+  getRequest,
+  cancelRequest,
+  reassignRequest,
   spawnScenario,
+  scenarioRuns,
+  cancelScenario,
 };
@@ -0,0 +1,80 @@
+import {
+  createScenario,
+  deleteScenario,
+  getScenario,
+  listScenarios,
+  updateScenario,
+} from "../services/scenario-service.js";
+
+// Scenario library (shared by all sims). Runs go through POST /api/scenario.
+
+const list = (req, res) => {
+  res.json({ ok: true, scenarios: listScenarios() });
+};
+
+const get = (req, res) => {
+  const scenario = getScenario(req.params.name);
+  if (!scenario) {
+    return res.status(404).json({
+      ok: false,
+      error: `Scenario "${req.params.name}" not found.`,
+    });
+  }
+  res.json({ ok: true, scenario });
+};
+
+const create = (req, res) => {
+  try {
+    const result = createScenario(req.body);
+    if (!result.ok) {
+      return res.status(409).json({ ok: false, error: result.message });
+    }
+    return res.status(201).json({ ok: true, scenario: result.scenario });
+  } catch (err) {
+    return res
+      .status(400)
+      .json({ ok: false, error: err.message || String(err) });
+  }
+};
+
+const update = (req, res) => {
+  if (!getScenario(req.params.name)) {
+    return res.status(404).json({
+      ok: false,
+      error: `Scenario "${req.params.name}" not found.`,
+    });
+  }
+  try {
+    const result = updateScenario(req.params.name, req.body);
+    if (!result.ok) {
+      return res.status(400).json({ ok: false, error: result.message });
+    }
+    return res.json({ ok: true, scenario: result.scenario });
+  } catch (err) {
+    return res
+      .status(400)
+      .json({ ok: false, error: err.message || String(err) });
+  }
+};
+
+const remove = (req, res) => {
+  if (!getScenario(req.params.name)) {
+    return res.status(404).json({
+      ok: false,
+      error: `Scenario "${req.params.name}" not found.`,
+    });
+  }
+  const result = deleteScenario(req.params.name);
+  if (!result.ok) {
+    return res.status(400).json({ ok: false, error: result.message });
+  }
+  return res.json({ ok: true, message: result.message });
+};
+
+export default {
+  list,
+  get,
+  create,
+  update,
+  remove,
+};
@@ -0,0 +1,58 @@
+import {
+  createSession,
+  destroySession,
+  getSession,
+  listSessions,
+} from "../services/session-service.js";
+
+const list = (req, res) => {
+  res.json({ ok: true, sims: listSessions() });
+};
+
+const create = (req, res) => {
+  const { name, config, record } = req.body || {};
+
+  if (config != null && (typeof config !== "object" || Array.isArray(config))) {
+    return res.status(400).json({
+      ok: false,
+      error: "'config' must be an object.",
+    });
+  }
+
+  try {
+    const sim = createSession({ name, config, record });
+    return res.status(201).json({ ok: true, sim });
+  } catch (err) {
+    return res
+      .status(400)
+      .json({ ok: false, error: err.message || String(err) });
+  }
+};
+
+const destroy = (req, res) => {
+  const result = destroySession(req.params.id);
+  if (!result.ok) {
+    const status = getSession(req.params.id) ? 400 : 404;
+    return res.status(status).json({ ok: false, error: result.message });
+  }
+  return res.json({ ok: true, message: result.message });
+};
+
+// Resolves :id to its simulation for the per-sim routes (req.sim)
+const loadSim = (req, res, next) => {
+  const session = getSession(req.params.id);
+  if (!session) {
+    return res
+      .status(404)
+      .json({ ok: false, error: `Simulation ${req.params.id} not found.` });
+  }
+  req.sim = session.sim;
+  next();
+};
+
+export default {
+  list,
+  create,
+  destroy,
+  loadSim,
+};
@@ -0,0 +1,63 @@
+import { listTraces } from "../services/trace-service.js";
+
+// Request traces (see services/trace-service.js).
+// GET /trace?run - run = runId of an earlier run (default: the current one),
+// see GET /trace/status for the recorded runs.
+
+const NOT_RECORDING =
+  "Trace recording is off for this simulation: create it with record: true " +
+  "(POST /api/sims) or start the server with RECORD_RUNS=true.";
+
+// Download the JSONL trace of a run of the sim
+const download = async (req, res, sim) => {
+  const recorder = sim.recorder;
+  const runId = req.query.run || (recorder && recorder.runId);
+  if (!runId) {
+    return res.status(404).json({ ok: false, error: NOT_RECORDING });
+  }
+
+  let trace;
+  if (recorder && runId === recorder.runId) {
+    await recorder.drain();
+    if (!recorder.exists()) {
+      return res.status(404).json({
+        ok: false,
+        error: "No requests recorded in this run yet.",
+      });
+    }
+    trace = recorder;
+  } else {
+    // runs of other sims are treated as unknown
+    trace = listTraces(sim.id).find((t) => t.runId === runId);
+    if (!trace) {
+      return res
+        .status(404)
+        .json({ ok: false, error: `No trace for run "${runId}".` });
+    }
+  }
+
+  res.type("application/x-ndjson");
+  res.download(trace.filePath, trace.fileName, (err) => {
+    if (err && !res.headersSent) {
+      console.error("Error sending trace:", err);
+      res.status(500).json({ ok: false, error: "Failed to send trace." });
+    }
+  });
+};
+
+const status = (req, res, sim) => {
+  res.json({
+    ok: true,
+    trace: sim.recorder ? sim.recorder.status() : null,
+    runs: listTraces(sim.id).map(({ runId, size, updatedAt }) => ({
+      runId,
+      size,
+      updatedAt,
+    })),
+  });
+};
+
+export default {
+  download,
+  status,
+};
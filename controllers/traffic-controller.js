@@ -0,0 +1,28 @@
+// Background traffic endpoints (see services/traffic-service.js).
+// Body: { profile: "office" | "flat" | [segments], rate?, scale?, matrix? }
+
+const start = (req, res, sim) => {
+  const result = sim.startTraffic(req.body || {});
+  if (!result.ok) {
+    return res.status(400).json({ ok: false, error: result.message });
+  }
+  sim.broadcast();
+  return res.json(result);
+};
+
+const status = (req, res, sim) => {
+  res.json({
+    ok: true,
+    traffic: sim.requestSpawner ? sim.requestSpawner.status() : null,
+  });
+};
+
+const stop = (req, res, sim) => {
+  res.json({ ok: true, stopped: sim.stopTraffic() });
+};
+
+export default {
+  start,
+  status,
+  stop,
+};
@@ -8,23 +8,23 @@ import dotenv from "dotenv";
 
 import createApp from "./app.js";
 import {
-  initSimulationService,
-  getSimulationService,
-} from "./services/simulation-service.js";
+  initSessionService,
+  getDefaultSimulation,
+} from "./services/session-service.js";
 
 dotenv.config();
 
 const app = express();
 app.use(cors());
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: "5mb" })); // traces can be large
 
 app.use(morgan("common"));
 
 const server = http.createServer(app);
 const wss = new WebSocketServer({ server, path: "/ws" });
 
-initSimulationService(wss);
-createApp(app, getSimulationService());
+initSessionService(wss);
+createApp(app, getDefaultSimulation());
 
 // Test route
 app.get("/", (req, res) => res.json("Hello"));
@@ -0,0 +1,122 @@
+// Elevator kinematics: jerk-limited (S-curve) motion profile.
+// A trip starts and ends at rest; the car accelerates with limited jerk up to
+// `acceleration`, cruises at `maxSpeed` if the run is long enough, then
+// decelerates symmetrically. Long express runs spend most of their time at
+// full speed, so they cost less per floor than single-floor hops.
+//
+// Physics params are SI (m, m/s, m/s², m/s³); returned times are sim-ms.
+
+export const DEFAULT_PHYSICS = {
+  floorHeight: 3.5, // m
+  maxSpeed: 2.5, // m/s
+  acceleration: 1.0, // m/s²
+  jerk: 1.8, // m/s³
+};
+
+// null/false -> constant-speed model (timePerFloor), true -> defaults,
+// object -> defaults overridden by the given values. Throws on invalid values.
+export const normalizePhysics = (physics) => {
+  if (!physics) return null;
+  const p = { ...DEFAULT_PHYSICS, ...(physics === true ? {} : physics) };
+  for (const key of Object.keys(DEFAULT_PHYSICS)) {
+    if (!Number.isFinite(p[key]) || p[key] <= 0) {
+      throw new Error(`physics.${key} must be a positive number.`);
+    }
+  }
+  return p;
+};
+
+/**
+ * createProfile(distance, physics)
+ * Phase durations (s) of the S-curve for a rest-to-rest run of `distance` m:
+ * jerk-up tau, constant accel t1, jerk-down tau, cruise tc, then the mirror.
+ */
+const createProfile = (distance, { maxSpeed: v, acceleration: a, jerk: j }) => {
+  // peak acceleration can't be reached if max speed comes first
+  let ap = Math.min(a, Math.sqrt(v * j));
+  let tau = ap / j;
+  let t1 = v / ap - tau;
+  let vp = v;
+  let tc = 0;
+
+  const fullSpeedDistance = v * (tau + v / ap);
+  if (distance >= fullSpeedDistance) {
+    tc = (distance - fullSpeedDistance) / v;
+  } else {
+    // max speed not reached: solve d = ap * x * (x + tau), x = tau + t1
+    const x = (-tau + Math.sqrt(tau * tau + (4 * distance) / ap)) / 2;
+    if (x >= tau) {
+      t1 = x - tau;
+      vp = ap * x;
+    } else {
+      // peak acceleration not reached either: d = 2 * j * tau³
+      tau = Math.cbrt(distance / (2 * j));
+      ap = j * tau;
+      t1 = 0;
+      vp = j * tau * tau;
+    }
+  }
+
+  const accelTime = 2 * tau + t1;
+  const duration = 2 * accelTime + tc;
+
+  // velocity while accelerating (0 <= t <= accelTime)
+  const accelVelocity = (t) => {
+    if (t <= tau) return (j * t * t) / 2;
+    if (t <= tau + t1) return (j * tau * tau) / 2 + ap * (t - tau);
+    const r = accelTime - t;
+    return vp - (j * r * r) / 2;
+  };
+
+  const velocityAt = (t) => {
+    if (t <= 0 || t >= duration) return 0;
+    if (t <= accelTime) return accelVelocity(t);
+    if (t <= accelTime + tc) return vp;
+    return accelVelocity(duration - t);
+  };
+
+  return { duration, velocityAt };
+};
+
+/**
+ * travelTime(floors, timePerFloor, physics)
+ * Sim-ms for a rest-to-rest run over `floors` floors.
+ * Without physics this is the legacy constant-speed floors * timePerFloor.
+ */
+export const travelTime = (floors, timePerFloor = 1000, physics = null) => {
+  const n = Math.abs(floors);
+  if (n === 0) return 0;
+  if (!physics) return n * timePerFloor;
+  return createProfile(n * physics.floorHeight, physics).duration * 1000;
+};
+
+/**
+ * floorCrossingTimes(floors, physics)
+ * Sim-ms (from departure) at which the car reaches each of the `floors` floors
+ * of the run; the last entry is the trip duration. Integrated numerically.
+ */
+export const floorCrossingTimes = (floors, physics) => {
+  const n = Math.abs(floors);
+  if (n === 0) return [];
+  const h = physics.floorHeight;
+  const { duration, velocityAt } = createProfile(n * h, physics);
+
+  const steps = Math.max(200, n * 50);
+  const dt = duration / steps;
+  const times = [];
+  let s = 0;
+  let prevV = 0;
+  for (let i = 1; i <= steps && times.length < n - 1; i++) {
+    const v = velocityAt(i * dt);
+    const ds = ((prevV + v) / 2) * dt;
+    while (times.length < n - 1 && s + ds >= (times.length + 1) * h) {
+      // linear interpolation inside the step
+      const next = (times.length + 1) * h;
+      times.push(((i - 1) * dt + ((next - s) / ds) * dt) * 1000);
+    }
+    s += ds;
+    prevV = v;
+  }
+  times.push(duration * 1000);
+  return times;
+};
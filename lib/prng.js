@@ -0,0 +1,24 @@
+// Seedable PRNG (mulberry32) so simulation runs can be reproduced.
+// Same seed -> same sequence of numbers.
+
+export const randomSeed = () => Math.floor(Math.random() * 0x100000000) >>> 0;
+
+export const createRng = (seed = randomSeed()) => {
+  let state = Number(seed) >>> 0;
+
+  return {
+    seed: Number(seed) >>> 0,
+    // float in [0, 1), drop-in replacement for Math.random()
+    next() {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+    // integer in [min, max] (inclusive)
+    int(min, max) {
+      return Math.floor(this.next() * (max - min + 1)) + min;
+    },
+  };
+};
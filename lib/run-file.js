@@ -0,0 +1,132 @@
+import fs from "fs";
+import path from "path";
+
+// Per-run JSONL files (request traces, metrics history): one file per run,
+// named <simId>-<ISO start time>.jsonl.
+// Lines are buffered and appended asynchronously at most every
+// FLUSH_INTERVAL_MS (real time), so ticks never wait on the disk.
+// Each directory keeps only the newest `maxFiles` runs of all sims.
+
+const FLUSH_INTERVAL_MS = 1000;
+export const DEFAULT_MAX_FILES = 50;
+
+const STARTED_AT_PATTERN = /^\d{4}-\d{2}-\d{2}T[\d-]+Z$/;
+const RUN_ID_PATTERN = /-\d{4}-\d{2}-\d{2}T[\d-]+Z$/;
+
+// Run of sim `simId`? (a bare prefix check would match sim "a-b" for "a")
+export const isRunOf = (runId, simId) =>
+  runId.startsWith(`${simId}-`) &&
+  STARTED_AT_PATTERN.test(runId.slice(simId.length + 1));
+
+/**
+ * listRunFiles(dir, simId)
+ * Run files of one sim (all sims without simId), newest first:
+ * [{ runId, file, size, updatedAt }]
+ */
+export const listRunFiles = (dir, simId = null) => {
+  const root = path.resolve(dir);
+  if (!fs.existsSync(root)) return [];
+  return fs
+    .readdirSync(root)
+    .filter((f) => {
+      if (!f.endsWith(".jsonl")) return false;
+      const runId = f.slice(0, -".jsonl".length);
+      return simId == null ? RUN_ID_PATTERN.test(runId) : isRunOf(runId, simId);
+    })
+    .map((f) => {
+      const stat = fs.statSync(path.join(root, f));
+      return {
+        runId: f.slice(0, -".jsonl".length),
+        file: path.join(root, f),
+        size: stat.size,
+        updatedAt: stat.mtime.toISOString(),
+      };
+    })
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+// Delete all but the `maxFiles` most recently written run files of the directory
+export const pruneRunFiles = async (dir, maxFiles) => {
+  const old = listRunFiles(dir).slice(maxFiles);
+  for (const { file } of old) {
+    try {
+      await fs.promises.unlink(file);
+    } catch (e) {
+      if (e.code !== "ENOENT") {
+        console.warn("[runs] could not delete", file, e.message || e);
+      }
+    }
+  }
+  return old.length;
+};
+
+export const createRunFile = ({
+  simId = "default",
+  dir,
+  maxFiles = DEFAULT_MAX_FILES,
+  label = "runs", // log prefix
+}) => {
+  const runStartedAt = new Date().toISOString();
+  const runId = `${simId}-${runStartedAt.replace(/[:.]/g, "-")}`;
+  const fileName = `${runId}.jsonl`;
+  const filePath = path.resolve(dir, fileName);
+
+  let buffer = [];
+  let created = false; // file is only created once there is something to write
+  let writing = null; // append in progress
+  let lastFlushAt = 0;
+
+  const write = async (lines) => {
+    try {
+      if (!created) {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      }
+      await fs.promises.appendFile(filePath, lines.join("\n") + "\n");
+      if (!created) {
+        created = true;
+        await pruneRunFiles(dir, maxFiles);
+      }
+    } catch (e) {
+      // non-fatal: keep the lines and retry on next flush
+      buffer = lines.concat(buffer);
+      console.warn(`[${label}] flush failed:`, e.message || e);
+    } finally {
+      writing = null;
+    }
+  };
+
+  return {
+    runId,
+    fileName,
+    filePath,
+    runStartedAt,
+
+    push(line) {
+      buffer.push(line);
+    },
+
+    // Start appending the buffered lines, unless a write is in progress or the
+    // last one was less than FLUSH_INTERVAL_MS ago (`force` skips that wait).
+    // Called every tick; lines left in the buffer go with a later flush, so a
+    // run that ends has to drain() instead.
+    flush({ force = false } = {}) {
+      if (writing || !buffer.length) return;
+      if (!force && Date.now() - lastFlushAt < FLUSH_INTERVAL_MS) return;
+      lastFlushAt = Date.now();
+      const lines = buffer;
+      buffer = [];
+      writing = write(lines);
+    },
+
+    // Resolves once everything pushed so far is on disk (or failed to write)
+    async drain() {
+      if (writing) await writing;
+      this.flush({ force: true });
+      if (writing) await writing;
+    },
+
+    exists() {
+      return created && fs.existsSync(filePath);
+    },
+  };
+};
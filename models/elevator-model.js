@@ -1,16 +1,165 @@
-export const createElevator = (id, initialFloor = 1, capacity = 6) => {
+// Faults that can be injected into a car (see sim.injectFault):
+//   outOfService - taken out of service by an operator: lets its passengers
+//                  off at their floors, then stays parked
+//   stuck        - held where it is, also between floors (currentFloor = last
+//                  floor passed); passengers on board are stranded
+//   doorFault    - doors stuck as they are and the car can't leave: stuck
+//                  closed strands the passengers, stuck open lets them out
+export const FAULT_TYPES = ["outOfService", "stuck", "doorFault"];
+
+// kg, used when a request doesn't say how much its group weighs and for the
+// default rated load (capacity persons of average weight)
+export const AVG_PASSENGER_WEIGHT = 75;
+
+/**
+ * createElevator(id, initialFloor, capacity, { ratedLoad, speed, servedFloors, label, zone })
+ * capacity     - max persons on board
+ * ratedLoad    - max load in kg (default: capacity * AVG_PASSENGER_WEIGHT)
+ * speed        - factor on the building's travel speed (2 = twice as fast)
+ * servedFloors - floors this car can stop at, null = every floor
+ * label        - free text for the frontend, e.g. "Freight"
+ * zone         - name of the zone the car belongs to (see zone-service.js)
+ */
+export const createElevator = (
+  id,
+  initialFloor = 1,
+  capacity = 6,
+  {
+    ratedLoad = capacity * AVG_PASSENGER_WEIGHT,
+    speed = 1,
+    servedFloors = null,
+    label = null,
+    zone = null,
+  } = {}
+) => {
   return {
     id: String(id),
+    label,
+    zone,
     currentFloor: initialFloor,
     targetFloors: [],
     direction: "idle",
-    doorState: "closed",
-    passengerCount: 0,
+    doorState: "closed", // closed | opening | open | closing
+    doorPhaseTime: 0, // duration of the current opening/closing phase
+    dwellTime: 0, // how long doors stay open at this stop (grows with passengers)
+    doorReopens: 0, // reopens during the current stop
+    _doorFrom: 0, // how far open the doors were when the opening phase started
+    passengerCount: 0, // persons on board
+    load: 0, // kg on board
     capacity,
+    ratedLoad,
+    speed,
+    servedFloors,
     statusSince: 0, // will be set to sim.clock.now() in sim.init()
-    // Rebalancer helpers:
-    // _rebalanceTarget: null, // floor we are repositioning to (set by rebalancer)
-    // _lastRebalanceTime: 0, // sim-time when last rebalancing finished
+    fault: null, // one of FAULT_TYPES while the car is failed
+    faultSince: null,
+    // Parking (services/parking-service.js):
+    _rebalanceTarget: null, // floor we are repositioning to (set by parking)
+    _lastRebalanceTime: 0, // sim-time when last rebalancing finished
+    repositionMoves: 0, // parking moves started
+    repositionTime: 0, // sim-ms spent repositioning (not counted in utilTime)
+    // Energy meter (services/energy-service.js):
+    travelWh: 0, // drawn by the motor while moving
+    regenWh: 0, // fed back by regenerative braking
+    standbyWh: 0, // standby draw
+    floorsTravelled: 0,
     _accTime: 0, // accumulator for movement (keeps progress between ticks)
+    _trip: null, // physics model: trip in progress { from, to, elapsed, duration, crossings }
   };
 };
+
+export const servesFloor = (elevator, floor) =>
+  !elevator.servedFloors || elevator.servedFloors.includes(floor);
+
+// One person of the request's group is within the car's rated load
+export const carriesPerson = (elevator, request) =>
+  (request.weight || 0) / (request.groupSize || 1) <= elevator.ratedLoad;
+
+// Car can take the request: it stops at both its origin and its destination,
+// and it can carry (at least) one person of the group
+export const canServe = (elevator, request) =>
+  (request.origin == null || servesFloor(elevator, request.origin)) &&
+  (request.destination == null || servesFloor(elevator, request.destination)) &&
+  carriesPerson(elevator, request);
+
+/**
+ * normalizeElevatorSpec(spec, nFloors)
+ * Validates one entry of config.elevators ({ capacity, startFloor, speed,
+ * servedFloors, label }) and fills in defaults. Throws on invalid values.
+ */
+export const normalizeElevatorSpec = (spec = {}, nFloors) => {
+  const {
+    capacity = 6,
+    ratedLoad = capacity * AVG_PASSENGER_WEIGHT,
+    startFloor,
+    speed = 1,
+    servedFloors = null,
+    label = null,
+    zone = null,
+  } = spec || {};
+
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    throw new Error("Elevator capacity must be a positive integer.");
+  }
+  if (!Number.isFinite(ratedLoad) || ratedLoad <= 0) {
+    throw new Error("Elevator ratedLoad must be a positive number (kg).");
+  }
+  if (!Number.isFinite(speed) || speed <= 0) {
+    throw new Error("Elevator speed must be a positive number.");
+  }
+
+  let floors = null;
+  if (servedFloors != null) {
+    if (
+      !Array.isArray(servedFloors) ||
+      servedFloors.some((f) => !Number.isInteger(f) || f < 1 || f > nFloors)
+    ) {
+      throw new Error(
+        `servedFloors must be an array of floors between 1 and ${nFloors}.`
+      );
+    }
+    floors = Array.from(new Set(servedFloors)).sort((a, b) => a - b);
+    if (floors.length < 2) {
+      throw new Error("An elevator must serve at least two floors.");
+    }
+  }
+
+  const initialFloor = startFloor != null ? startFloor : floors ? floors[0] : 1;
+  if (
+    !Number.isInteger(initialFloor) ||
+    initialFloor < 1 ||
+    initialFloor > nFloors ||
+    (floors && !floors.includes(initialFloor))
+  ) {
+    throw new Error(
+      `startFloor ${initialFloor} is not a floor this elevator serves.`
+    );
+  }
+
+  return {
+    capacity,
+    ratedLoad,
+    startFloor: initialFloor,
+    speed,
+    servedFloors: floors,
+    label,
+    zone,
+  };
+};
+
+// No one else fits: person count or rated load reached
+export const isFull = (elevator) =>
+  elevator.passengerCount >= elevator.capacity ||
+  (elevator.load || 0) >= elevator.ratedLoad;
+
+// How many persons of the request's group fit right now (by count and by weight)
+export const personsThatFit = (elevator, request) => {
+  const groupSize = request.groupSize || 1;
+  const perPerson = (request.weight || 0) / groupSize;
+  const byCount = elevator.capacity - elevator.passengerCount;
+  const byWeight =
+    perPerson > 0
+      ? Math.floor((elevator.ratedLoad - (elevator.load || 0)) / perPerson)
+      : groupSize;
+  return Math.max(0, Math.min(groupSize, byCount, byWeight));
+};
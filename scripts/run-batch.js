@@ -0,0 +1,67 @@
+// CLI for the headless batch runner (services/batch-service.js).
+//
+// Usage:
+//   npm run batch -- --duration 3600000 --script traffic.json \
+//     --strategy hybrid,look --seed 42 --config '{"nElevators":4}'
+//
+// --script accepts a JSON array or a JSONL file (one entry per line).
+// --strategy accepts a comma separated list: each one runs on the same traffic.
+// Results are printed to stdout as JSON.
+
+import fs from "fs";
+import { parseArgs } from "util";
+
+import { runBatch } from "../services/batch-service.js";
+
+const readScript = (file) => {
+  if (!file) return [];
+  const raw = fs.readFileSync(file, "utf8");
+  if (file.endsWith(".jsonl")) {
+    return raw
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => JSON.parse(line));
+  }
+  return JSON.parse(raw);
+};
+
+const main = () => {
+  const { values } = parseArgs({
+    options: {
+      duration: { type: "string", default: String(60 * 60 * 1000) },
+      script: { type: "string" },
+      strategy: { type: "string" },
+      seed: { type: "string" },
+      config: { type: "string", default: "{}" },
+      tick: { type: "string", default: "200" },
+    },
+  });
+
+  const baseConfig = JSON.parse(values.config);
+  if (values.seed != null) baseConfig.seed = Number(values.seed);
+  const script = readScript(values.script);
+
+  const strategies = values.strategy
+    ? values.strategy.split(",").map((s) => s.trim())
+    : [baseConfig.strategy];
+
+  const results = strategies.map((strategy) =>
+    runBatch({
+      config: strategy ? { ...baseConfig, strategy } : baseConfig,
+      duration: Number(values.duration),
+      script,
+      tickMs: Number(values.tick),
+    })
+  );
+
+  console.log(
+    JSON.stringify(results.length === 1 ? results[0] : results, null, 2)
+  );
+};
+
+try {
+  main();
+} catch (err) {
+  console.error(`[batch] ${err.message || err}`);
+  process.exit(1);
+}
@@ -1,3 +1,7 @@
+import { travelTime } from "../lib/kinematics.js";
+import { estimateTripWh } from "./energy-service.js";
+import { getScenario, listScenarios } from "./scenario-service.js";
+
 const ETA_WEIGHT = 0.0015; // cost per simulated ms of eta (tuned)
 const SAME_FLOOR_BOOST = 10000; // elevator already at origin -> almost always pick
 const NEARBY_BOOST = 75; // 1-floor-away boost (slightly increased)
@@ -13,23 +17,56 @@ const DefaultAppConfig = {
   nFloors: 12,
   // highTrafficFloors: [3, 6],
   timePerFloor: 1000,
-  doorDwell: 2000,
+  doorDwell: 2000, // base time doors stay fully open at a stop
+  doorOpenTime: 1000, // opening phase
+  doorCloseTime: 1000, // closing phase
+  dwellPerPassenger: 500, // extra dwell per passenger boarding/alighting
+  physics: null, // null -> constant timePerFloor; true/object -> S-curve model (lib/kinematics.js)
   lobbyFloor: 1,
+  strategy: "hybrid", // see services/strategies/index.js
+  parking: null, // null -> idle cars stay put; true/object -> idle car parking (services/parking-service.js)
+  energy: null, // energy model params and dispatch weight, null -> defaults (services/energy-service.js)
+  seed: null, // PRNG seed; null -> fresh random seed on every init
 };
 
 const occupancyPenalty = (elevator) => {
-  if (elevator.passengerCount >= elevator.capacity)
+  const loadFraction = elevator.ratedLoad
+    ? (elevator.load || 0) / elevator.ratedLoad
+    : 0;
+  if (elevator.passengerCount >= elevator.capacity || loadFraction >= 1)
     return OCCUPANCY_PENALTY_FULL;
-  if (elevator.passengerCount >= Math.floor(elevator.capacity * 0.8))
+  if (
+    elevator.passengerCount >= Math.floor(elevator.capacity * 0.8) ||
+    loadFraction >= 0.8
+  )
     return OCCUPANCY_PENALTY_NEAR;
   return 0;
 };
 
+// Time a stop costs before the car can leave again (passenger-dependent dwell excluded)
+const stopDuration = (config) =>
+  (config.doorOpenTime || 0) +
+  (config.doorDwell || 0) +
+  (config.doorCloseTime || 0);
+
+// Per-car motion params: building timePerFloor / physics scaled by the car's speed factor
+const motionFor = (config, elevator) => {
+  const speed = elevator.speed || 1;
+  return {
+    timePerFloor: config.timePerFloor / speed,
+    physics: config.physics
+      ? { ...config.physics, maxSpeed: config.physics.maxSpeed * speed }
+      : null,
+  };
+};
+
 /**
- * estimateETA(elevator, pickupFloor, timePerFloor, doorDwell)
+ * estimateETA(elevator, pickupFloor, timePerFloor, doorDwell, physics)
  * Simulate elevator's remaining travel time in sim-ms to reach pickupFloor,
  * taking into account elevator.currentFloor, elevator.targetFloors sequence,
- * timePerFloor (ms per floor), and doorDwell (ms per stop).
+ * timePerFloor (ms per floor), and doorDwell (ms per stop, see stopDuration()).
+ * With `physics` set, travel between stops uses the same S-curve model as
+ * the movement code, and a trip already under way is finished first.
  *
  * This is a better approximation of true ETA because it accounts for
  * intermediate stops already scheduled for the elevator.
@@ -38,25 +75,38 @@ const estimateETA = (
   elevator,
   pickupFloor,
   timePerFloor = 1000,
-  doorDwell = 2000
+  doorDwell = 2000,
+  physics = null
 ) => {
+  const travel = (floors) => travelTime(floors, timePerFloor, physics);
+
   // defensive defaults
-  const cur = elevator.currentFloor || 1;
-  const targets = (elevator.targetFloors && [...elevator.targetFloors]) || [];
+  let cur = elevator.currentFloor || 1;
+  let targets = (elevator.targetFloors && [...elevator.targetFloors]) || [];
+  let total = 0;
+
+  // committed trip (physics model): the car can't stop before trip.to
+  const trip = elevator._trip;
+  if (trip) {
+    total += Math.max(0, trip.duration - trip.elapsed);
+    if (trip.to === pickupFloor) return total;
+    total += doorDwell;
+    cur = trip.to;
+    targets = targets.filter((t) => t !== trip.to);
+  }
 
   // if no targets, straight-line ETA
   if (!targets.length) {
-    return Math.abs(cur - pickupFloor) * timePerFloor;
+    return total + travel(cur - pickupFloor);
   }
 
-  let total = 0;
   let curFloor = cur;
 
   // walk through scheduled targets in order; include travel + doorDwell for each stop.
   for (let i = 0; i < targets.length; i++) {
     const t = targets[i];
     // travel to next scheduled stop
-    total += Math.abs(t - curFloor) * timePerFloor;
+    total += travel(t - curFloor);
     // if that stop is the pickup floor, we have arrived
     if (t === pickupFloor) return total;
     // otherwise we'll dwell here (passengers in/out) before continuing
@@ -65,24 +115,34 @@ const estimateETA = (
   }
 
   // after finishing all scheduled targets, go to pickup if not already reached
-  total += Math.abs(pickupFloor - curFloor) * timePerFloor;
+  total += travel(pickupFloor - curFloor);
   return total;
 };
 
 /**
- * computeScore(elevator, request, timePerFloor)
+ * computeScore(elevator, request, timePerFloor, doorDwell, physics, energy)
  * Uses new estimateETA to compute a more realistic score. Also adds a small fairness
  * penalty proportional to elevator.utilTime (so very busy elevators are slightly deprioritized).
+ * With `energy` (config.energy) and energy.weight > 0, the estimated Wh of the
+ * car taking the request is subtracted too (energy vs. wait trade-off).
  */
 const computeScore = (
   elevator,
   request,
   timePerFloor = 1000,
-  doorDwell = 2000
+  doorDwell = 2000,
+  physics = null,
+  energy = null
 ) => {
   const pickupFloor =
     request.origin != null ? request.origin : request.destination;
-  const eta = estimateETA(elevator, pickupFloor, timePerFloor, doorDwell); // sim-ms
+  const eta = estimateETA(
+    elevator,
+    pickupFloor,
+    timePerFloor,
+    doorDwell,
+    physics
+  ); // sim-ms
   const base = request.priority || 1;
 
   let score = base;
@@ -122,6 +182,11 @@ const computeScore = (
   const utilTime = elevator.utilTime || 0;
   score -= utilTime * FAIRNESS_WEIGHT;
 
+  // energy: cars that would travel far, or lift a heavy load, cost more
+  if (energy && energy.weight > 0) {
+    score -= energy.weight * estimateTripWh(energy, elevator, request);
+  }
+
   // after base calculation
   if (request.escalated) {
     score += 5000; // make escalated requests jump to front
@@ -133,8 +198,13 @@ const computeScore = (
 /**
  * updatePriorities(now, sim)
  * existing logic (keeps escalation after 30s, lobby bias)
+ * Lobby bias follows the learned traffic pattern: strong in up-peak, milder at lunch.
  */
 const updatePriorities = (now, sim) => {
+  const pattern = sim.trafficPattern();
+  const lobbyBoost =
+    pattern === "upPeak" ? 0.5 : pattern === "lunch" ? 0.25 : 0;
+
   for (const r of sim.pendingRequests) {
     const waited = now - r.timestamp;
     r.priority = (r.basePriority || 1) + waited * 0.001;
@@ -145,12 +215,10 @@ const updatePriorities = (now, sim) => {
       //   r.priority += 5000;
     }
 
-    if (
-      sim.config.lobbyFloor &&
-      r.origin === sim.config.lobbyFloor &&
-      (sim._isMorningRushWindow() || r.isMorningRush)
-    ) {
-      r.priority += r.priority * 0.5; // 50% boost for lobby in morning window
+    if (sim.config.lobbyFloor && r.origin === sim.config.lobbyFloor) {
+      // morningRush scenario requests always get the up-peak boost
+      const boost = r.isMorningRush ? 0.5 : lobbyBoost;
+      r.priority += r.priority * boost;
     }
   }
 };
@@ -180,6 +248,11 @@ const MSG = {
     type: "info",
     message,
   }),
+  // destination dispatch: tells the passenger which car to take
+  ASSIGNMENT: (request) => ({
+    type: "assignment",
+    data: { requestId: request.id, elevatorId: request.assignedTo },
+  }),
   REQUEST_FAILED: (message = "Failed to create request.") => ({
     type: "error",
     message,
@@ -192,14 +265,20 @@ const MSG = {
   RECONFIG_STOP_FIRST: "Stop the simulation before applying configuration.",
   RECONFIG_SUCCESS:
     "Configuration applied. Start the simulation to begin spawning requests.",
+  STRATEGY_CHANGED: (name) => `Scheduling strategy switched to "${name}".`,
+
+  SCENARIOS: (scenarios) => ({ type: "scenarios", data: scenarios }),
+  SIMS: (sims) => ({ type: "sims", data: sims }),
+  SIM_JOINED: (sim) => ({ type: "simJoined", data: sim }),
+  SIM_DESTROYED: (id) =>
+    `Simulation ${id} was destroyed. Switched back to the default simulation.`,
 };
 
-const scenarioMessage = (name) => {
+const scenarioMessage = (name, count) => {
   const isMorningRush = name === "morningRush";
   const title = isMorningRush ? "Morning Rush" : "Random Burst";
-  const count = isMorningRush ? 35 : 100;
   const extra = isMorningRush
-    ? " at lobby floor (Ground Floor) and 15 from other floors"
+    ? ", most of them at lobby floor (Ground Floor)"
     : "";
   return `Scenario ${title} spawned successfully with ${count} randomly generated requests${extra}.`;
 };
@@ -237,12 +316,38 @@ const createHandlers = ({ sim }) => {
       if (!sim.running) {
         return safeSend(ws, MSG.ERROR("Please start the simulation first"));
       }
-      sim.spawnScenario(data.name);
-      safeSend(ws, MSG.INFO(scenarioMessage(data.name)));
+      const res = sim.spawnScenario(data.name, data.count, data.arrival);
+      if (!res.ok) return safeSend(ws, MSG.ERROR(res.message));
+      // spread-out built-ins report their run id like stored scenarios
+      const builtin = getScenario(data.name)?.builtin && !res.id;
+      safeSend(
+        ws,
+        MSG.INFO(builtin ? scenarioMessage(data.name, res.count) : res.message)
+      );
+    },
+
+    cancelScenario: (data, ws) => {
+      const cancelled = sim.cancelScenario(data?.id ?? null);
+      safeSend(ws, MSG.INFO(`Cancelled ${cancelled} scenario run(s).`));
+      sim.broadcast();
     },
 
     reconfig: (data, ws) => {
       const cfg = data.config || {};
+
+      // Strategy-only change: can be applied live, keeps current traffic
+      const keys = Object.keys(cfg);
+      if (keys.length === 1 && keys[0] === "strategy") {
+        try {
+          sim.setStrategy(cfg.strategy);
+          sim.broadcast();
+          safeSend(ws, MSG.INFO(MSG.STRATEGY_CHANGED(cfg.strategy)));
+        } catch (e) {
+          safeSend(ws, MSG.ERROR(e.message || String(e)));
+        }
+        return;
+      }
+
       if (sim.running) {
         return safeSend(ws, MSG.ERROR(MSG.RECONFIG_STOP_FIRST));
       }
@@ -260,6 +365,80 @@ const createHandlers = ({ sim }) => {
       }
     },
 
+    replay: (data, ws) => {
+      const trace = data.trace != null ? data.trace : data.entries;
+      if (trace == null) {
+        return safeSend(ws, MSG.ERROR("Provide 'trace' (JSONL) or 'entries'."));
+      }
+
+      try {
+        const res = sim.startReplay(trace, { rebase: data.rebase !== false });
+        if (!res.ok) return safeSend(ws, MSG.ERROR(res.message));
+        const skipped = res.errors.length
+          ? ` ${res.errors.length} invalid lines skipped.`
+          : "";
+        safeSend(ws, MSG.INFO(res.message + skipped));
+        sim.broadcast();
+      } catch (e) {
+        safeSend(ws, MSG.ERROR("Failed to start replay: " + (e.message || e)));
+      }
+    },
+
+    startTraffic: (data, ws) => {
+      const res = sim.startTraffic(data.options || {});
+      safeSend(ws, res.ok ? MSG.INFO(res.message) : MSG.ERROR(res.message));
+      if (res.ok) sim.broadcast();
+    },
+
+    listScenarios: (_, ws) => {
+      safeSend(ws, MSG.SCENARIOS(listScenarios()));
+    },
+
+    stopTraffic: (_, ws) => {
+      if (!sim.stopTraffic()) {
+        return safeSend(ws, MSG.INFO("No background traffic running."));
+      }
+      safeSend(ws, MSG.INFO("Background traffic stopped."));
+      sim.broadcast();
+    },
+
+    resetDemand: (_, ws) => {
+      sim.resetDemand();
+      safeSend(ws, MSG.INFO("Learned demand cleared."));
+      sim.broadcast();
+    },
+
+    stopReplay: (_, ws) => {
+      if (!sim.stopReplay()) {
+        return safeSend(ws, MSG.INFO("No replay in progress."));
+      }
+      safeSend(ws, MSG.INFO("Replay stopped."));
+    },
+
+    injectFault: (data, ws) => {
+      const res = sim.injectFault(data.elevatorId, data.fault);
+      safeSend(ws, res.ok ? MSG.INFO(res.message) : MSG.ERROR(res.message));
+      if (res.ok) sim.broadcast();
+    },
+
+    clearFault: (data, ws) => {
+      const res = sim.clearFault(data.elevatorId);
+      safeSend(ws, res.ok ? MSG.INFO(res.message) : MSG.ERROR(res.message));
+      if (res.ok) sim.broadcast();
+    },
+
+    cancelRequest: (data, ws) => {
+      const res = sim.cancelRequest(data.id);
+      safeSend(ws, res.ok ? MSG.INFO(res.message) : MSG.ERROR(res.message));
+      if (res.ok) sim.broadcast();
+    },
+
+    reassignRequest: (data, ws) => {
+      const res = sim.reassignRequest(data.id, data.elevatorId);
+      safeSend(ws, res.ok ? MSG.INFO(res.message) : MSG.ERROR(res.message));
+      if (res.ok) sim.broadcast();
+    },
+
     manualRequest: (data, ws) => {
       if (!sim.running) {
         return safeSend(ws, MSG.ERROR("Please start the simulation first"));
@@ -273,6 +452,9 @@ const createHandlers = ({ sim }) => {
           safeSend(ws, MSG.REQUEST_FAILED(res.message));
         } else {
           safeSend(ws, MSG.REQUEST_CREATED(res.message));
+          if (res.request.assignedTo) {
+            safeSend(ws, MSG.ASSIGNMENT(res.request));
+          }
           sim.broadcast();
         }
       } catch (e) {
@@ -283,14 +465,16 @@ const createHandlers = ({ sim }) => {
 };
 
 // helper to pick a destination != origin
+// `rng` should be the sim's seeded generator (see lib/prng.js) to keep runs reproducible
 const pickRandomFloorExcept = (
   excludeFloor,
-  floors = DefaultAppConfig.nFloors
+  floors = DefaultAppConfig.nFloors,
+  rng = { next: Math.random }
 ) => {
   if (floors <= 1) return excludeFloor; // degenerate
   let f;
   do {
-    f = Math.floor(Math.random() * floors) + 1;
+    f = Math.floor(rng.next() * floors) + 1;
   } while (f === excludeFloor);
   return f;
 };
@@ -300,6 +484,8 @@ export {
   updatePriorities,
   computeScore,
   estimateETA,
+  stopDuration,
+  motionFor,
   MSG,
   scenarioMessage,
   safeSend,
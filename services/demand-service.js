@@ -0,0 +1,157 @@
+// Traffic-pattern learning: per-floor, per-time-of-day arrival rates built from
+// served requests. The sim day starts at sim-time 0 (midnight) and is split into
+// buckets (15 min by default); every served passenger counts as an arrival at
+// its origin floor, in the bucket of the time it made its call. Rates are
+// arrivals per minute of sim-time observed in that bucket, so they average over
+// every simulated day seen so far.
+//
+// The pattern of a bucket is derived from its arrivals:
+//   upPeak     - most passengers arrive at the lobby and go up (morning)
+//   downPeak   - most passengers travel down to the lobby (evening)
+//   lunch      - strong two-way lobby traffic (out and back in)
+//   interfloor - anything else with enough data
+//   unknown    - not enough arrivals in this bucket (or the one before) yet
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+export const DEFAULT_BUCKET_MS = 15 * 60 * 1000;
+
+const MIN_ARRIVALS = 8; // arrivals a bucket needs before it gets a pattern
+const PEAK_SHARE = 0.5; // share of lobby up (or down) traffic for a peak
+const LUNCH_SHARE = 0.25; // share of each lobby direction for lunch
+
+const emptyBucket = () => ({
+  observedMs: 0,
+  arrivals: 0,
+  fromLobbyUp: 0, // origin lobby, going up
+  toLobby: 0, // destination lobby
+  floors: new Map(), // floor -> { up, down }
+});
+
+const classify = (b) => {
+  if (b.arrivals < MIN_ARRIVALS) return "unknown";
+  const up = b.fromLobbyUp / b.arrivals;
+  const down = b.toLobby / b.arrivals;
+  if (up >= PEAK_SHARE && up > down) return "upPeak";
+  if (down >= PEAK_SHARE) return "downPeak";
+  if (up >= LUNCH_SHARE && down >= LUNCH_SHARE) return "lunch";
+  return "interfloor";
+};
+
+const clockLabel = (ms) => {
+  const minutes = Math.floor(ms / 60_000);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+};
+
+/**
+ * createDemandModel({ lobbyFloor, bucketMs })
+ * record(r)   - a request was served (dropped off)
+ * observe(now)- sim-time advanced to `now` (called every tick)
+ * pattern(now), floorRates(now), profile(now) - what was learned so far
+ * The sim keeps one model across runs: a reset sim clock starts a new day.
+ */
+export const createDemandModel = ({
+  lobbyFloor = 1,
+  bucketMs = DEFAULT_BUCKET_MS,
+} = {}) => {
+  const nBuckets = Math.ceil(DAY_MS / bucketMs);
+  const buckets = Array.from({ length: nBuckets }, emptyBucket);
+  let lastObserved = null;
+
+  const bucketIndex = (t) => Math.floor((t % DAY_MS) / bucketMs);
+
+  // bucket to judge `now` by: the current one, or the one before while the
+  // current one has too little data (e.g. right after a bucket boundary)
+  const bucketFor = (now) => {
+    const i = bucketIndex(now);
+    if (buckets[i].arrivals >= MIN_ARRIVALS) return buckets[i];
+    return buckets[(i - 1 + nBuckets) % nBuckets];
+  };
+
+  return {
+    bucketMs,
+    lobbyFloor,
+
+    record(r) {
+      // passengers already in the car when they made the request aren't arrivals
+      if (r.type === "internal" && !r.hallCallId) return;
+      if (r.origin == null || r.destination == null) return;
+
+      const b = buckets[bucketIndex(r.timestamp)];
+      const n = r.groupSize || 1;
+      const up = r.destination > r.origin;
+      b.arrivals += n;
+      if (up && r.origin === lobbyFloor) b.fromLobbyUp += n;
+      if (r.destination === lobbyFloor) b.toLobby += n;
+
+      const f = b.floors.get(r.origin) || { up: 0, down: 0 };
+      if (up) f.up += n;
+      else f.down += n;
+      b.floors.set(r.origin, f);
+    },
+
+    // Credit elapsed sim-time to the buckets it fell in (rates need it)
+    observe(now) {
+      if (lastObserved == null || now < lastObserved) {
+        lastObserved = now;
+        return;
+      }
+      let t = lastObserved;
+      while (t < now) {
+        const end = Math.min(now, (Math.floor(t / bucketMs) + 1) * bucketMs);
+        buckets[bucketIndex(t)].observedMs += end - t;
+        t = end;
+      }
+      lastObserved = now;
+    },
+
+    pattern(now) {
+      return classify(bucketFor(now));
+    },
+
+    // floor -> arrivals per minute learned for this time of day (empty if unknown)
+    floorRates(now) {
+      const b = bucketFor(now);
+      const rates = new Map();
+      if (b.arrivals < MIN_ARRIVALS || !b.observedMs) return rates;
+      for (const [floor, f] of b.floors) {
+        rates.set(floor, ((f.up + f.down) / b.observedMs) * 60_000);
+      }
+      return rates;
+    },
+
+    // Learned profile for the API: every bucket that has been observed
+    profile(now) {
+      const perMinute = (count, b) =>
+        b.observedMs ? (count / b.observedMs) * 60_000 : 0;
+      return {
+        bucketMs,
+        lobbyFloor,
+        current: {
+          bucket: bucketIndex(now),
+          pattern: classify(bucketFor(now)),
+        },
+        buckets: buckets
+          .map((b, i) => ({ b, i }))
+          .filter(({ b }) => b.observedMs > 0)
+          .map(({ b, i }) => ({
+            bucket: i,
+            from: clockLabel(i * bucketMs),
+            to: clockLabel(Math.min(DAY_MS, (i + 1) * bucketMs)),
+            observedMs: b.observedMs,
+            arrivals: b.arrivals,
+            ratePerMin: perMinute(b.arrivals, b),
+            pattern: classify(b),
+            floors: [...b.floors.entries()]
+              .sort(([a], [c]) => a - c)
+              .map(([floor, f]) => ({
+                floor,
+                up: f.up,
+                down: f.down,
+                ratePerMin: perMinute(f.up + f.down, b),
+              })),
+          })),
+      };
+    },
+  };
+};
@@ -0,0 +1,137 @@
+import { DEFAULT_PHYSICS } from "../lib/kinematics.js";
+
+// Energy model of a traction elevator. The counterweight balances the empty car
+// plus `counterweightRatio` of the rated load, so the motor only lifts (or
+// brakes) the imbalance: load - counterweightRatio * ratedLoad (kg).
+//   up,   heavy car / down, light car -> motoring: imbalance work / motorEfficiency
+//   down, heavy car / up,   light car -> generating: work * regenEfficiency fed back
+// Every floor travelled also costs `runningWhPerFloor` (friction, drive losses),
+// and every car draws `standbyW` all the time (controller, lights, fans).
+// Counters live on the car (travelWh, regenWh, standbyWh); see sim._tick.
+// Floors are as high as the kinematics model says (physics.floorHeight).
+
+export const DEFAULT_ENERGY = {
+  counterweightRatio: 0.5, // share of the rated load balanced by the counterweight
+  motorEfficiency: 0.8,
+  regenEfficiency: 0.6, // 0 = drive without regeneration (braking resistor)
+  runningWhPerFloor: 1.5,
+  standbyW: 150,
+  // computeScore: score points per estimated Wh of a car taking a request.
+  // 0 keeps dispatch energy-blind; ~2 makes a floor of empty travel worth ~5s of ETA
+  weight: 0,
+};
+
+const G = 9.81;
+const J_PER_WH = 3600;
+
+const RATIOS = ["counterweightRatio", "motorEfficiency", "regenEfficiency"];
+
+// null/true -> defaults, object -> defaults overridden by the given values.
+// Unlike physics/parking there is no "off": energy is always metered.
+// floorHeight is taken from `physics` (the kinematics default without physics).
+// Throws on invalid values.
+export const normalizeEnergy = (energy, physics = null) => {
+  const p = {
+    ...DEFAULT_ENERGY,
+    ...(energy && energy !== true ? energy : {}),
+  };
+  for (const key of Object.keys(DEFAULT_ENERGY)) {
+    if (!Number.isFinite(p[key]) || p[key] < 0) {
+      throw new Error(`energy.${key} must be a non-negative number.`);
+    }
+  }
+  for (const key of RATIOS) {
+    if (p[key] > 1) throw new Error(`energy.${key} must be between 0 and 1.`);
+  }
+  if (p.motorEfficiency === 0) {
+    throw new Error("energy.motorEfficiency must be > 0.");
+  }
+  p.floorHeight = (physics || DEFAULT_PHYSICS).floorHeight;
+  return p;
+};
+
+/**
+ * travelEnergy(params, elevator, floors, load)
+ * Energy of moving `floors` floors (> 0 up, < 0 down) carrying `load` kg.
+ * Returns { usedWh, regenWh }.
+ */
+export const travelEnergy = (
+  params,
+  elevator,
+  floors,
+  load = elevator.load || 0
+) => {
+  if (!floors) return { usedWh: 0, regenWh: 0 };
+  const imbalance =
+    load - params.counterweightRatio * (elevator.ratedLoad || 0);
+  // work the motor does against gravity (negative: gravity drives the car)
+  const workWh = (imbalance * G * params.floorHeight * floors) / J_PER_WH;
+  const runningWh = params.runningWhPerFloor * Math.abs(floors);
+  return workWh >= 0
+    ? { usedWh: workWh / params.motorEfficiency + runningWh, regenWh: 0 }
+    : { usedWh: runningWh, regenWh: -workWh * params.regenEfficiency };
+};
+
+/**
+ * estimateTripWh(params, elevator, request)
+ * Net Wh for this car to fetch the request and (when the destination is known)
+ * carry it there, ignoring the stops it already has. Used by computeScore.
+ */
+export const estimateTripWh = (params, elevator, request) => {
+  const load = elevator.load || 0;
+  const pickup = request.origin != null ? request.origin : request.destination;
+  const net = ({ usedWh, regenWh }) => usedWh - regenWh;
+  let wh = net(
+    travelEnergy(params, elevator, pickup - elevator.currentFloor, load)
+  );
+  if (request.origin != null && request.destination != null) {
+    wh += net(
+      travelEnergy(
+        params,
+        elevator,
+        request.destination - request.origin,
+        load + (request.weight || 0)
+      )
+    );
+  }
+  return wh;
+};
+
+// Book `floors` floors of travel on the car's counters
+export const meterTravel = (params, elevator, floors) => {
+  const { usedWh, regenWh } = travelEnergy(params, elevator, floors);
+  elevator.travelWh += usedWh;
+  elevator.regenWh += regenWh;
+  elevator.floorsTravelled += Math.abs(floors);
+};
+
+export const meterStandby = (params, elevator, dt) => {
+  elevator.standbyWh += (params.standbyW * dt) / 3_600_000;
+};
+
+const kwh = (wh) => wh / 1000;
+
+/**
+ * energyReport(elevators, passengerTrips)
+ * kWh per car and totals; net = travel + standby - regen.
+ */
+export const energyReport = (elevators, passengerTrips) => {
+  const perElevator = elevators.map((e) => ({
+    id: e.id,
+    travelKwh: kwh(e.travelWh),
+    standbyKwh: kwh(e.standbyWh),
+    regenKwh: kwh(e.regenWh),
+    netKwh: kwh(e.travelWh + e.standbyWh - e.regenWh),
+    floorsTravelled: e.floorsTravelled,
+  }));
+  const sum = (key) => perElevator.reduce((a, e) => a + e[key], 0);
+  const netKwh = sum("netKwh");
+  return {
+    travelKwh: sum("travelKwh"),
+    standbyKwh: sum("standbyKwh"),
+    regenKwh: sum("regenKwh"),
+    netKwh,
+    kwhPerPassengerTrip: passengerTrips ? netKwh / passengerTrips : 0,
+    perElevator,
+  };
+};
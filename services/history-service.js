@@ -0,0 +1,150 @@
+import fs from "fs";
+import path from "path";
+
+import {
+  createRunFile,
+  DEFAULT_MAX_FILES,
+  listRunFiles,
+} from "../lib/run-file.js";
+
+// Metrics time series: one JSONL file per run (like traces), a line every
+// `intervalMs` of sim-time with the headline numbers of sim.metricsSnapshot():
+//   {"t":5000,"at":"2025-..","servedCount":12,"pendingCount":3,"avgWait":8200,...}
+// The latest MAX_SAMPLES of the current run are also kept in memory; older
+// ones and earlier runs (also from before a restart) are read back from
+// METRICS_DIR, which keeps the newest METRICS_MAX_FILES runs.
+
+const METRICS_DIR = process.env.METRICS_DIR || "metrics";
+const METRICS_MAX_FILES =
+  Number(process.env.METRICS_MAX_FILES) || DEFAULT_MAX_FILES;
+export const DEFAULT_SAMPLE_MS = 5000;
+const MAX_SAMPLES = 17_280; // a day of sim-time at the default interval
+
+const RUN_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const toSample = (t, m) => ({
+  t,
+  at: new Date().toISOString(),
+  servedCount: m.servedCount,
+  passengersServed: m.passengersServed,
+  pendingCount: m.pendingCount,
+  maxPendingWait: m.maxPendingWait,
+  avgWait: m.avgWait,
+  p95Wait: m.distribution.overall.wait.p95,
+  avgTravel: m.avgTravel,
+  longWaits: m.distribution.overall.longWaits,
+  utilization: m.utilization,
+  recentUtil: m.recentUtil,
+  throughputPerMin: m.throughputPerMin,
+  faultedElevators: m.faultedElevators,
+  netKwh: m.energy.netKwh,
+});
+
+/**
+ * selectSamples(samples, { from, to, step })
+ * Samples with from <= t <= to; with `step` (sim-ms) only the last sample of
+ * every step-long slice, so long runs can be charted with few points.
+ */
+export const selectSamples = (
+  samples,
+  { from = 0, to = Infinity, step = 0 }
+) => {
+  const inRange = samples.filter((s) => s.t >= from && s.t <= to);
+  if (!step) return inRange;
+  const out = [];
+  for (const s of inRange) {
+    const slice = Math.floor((s.t - from) / step);
+    if (out.length && out[out.length - 1].slice === slice) {
+      out[out.length - 1] = { slice, s };
+    } else {
+      out.push({ slice, s });
+    }
+  }
+  return out.map(({ s }) => s);
+};
+
+export const createMetricsHistory = ({
+  simId = "default",
+  dir = METRICS_DIR,
+  intervalMs = DEFAULT_SAMPLE_MS,
+  maxFiles = METRICS_MAX_FILES,
+} = {}) => {
+  const file = createRunFile({ simId, dir, maxFiles, label: "metrics" });
+  const { runId, runStartedAt } = file;
+
+  let samples = [];
+  let dropped = 0; // oldest samples only left in the file
+  let lastSampleAt = null;
+
+  return {
+    runId,
+    runStartedAt,
+    intervalMs,
+
+    // called every tick; `metrics` is only evaluated when a sample is due
+    sample(now, metrics) {
+      if (lastSampleAt != null && now - lastSampleAt < intervalMs) return;
+      lastSampleAt = now;
+      const s = toSample(now, metrics());
+      samples.push(s);
+      file.push(JSON.stringify(s));
+      if (samples.length > MAX_SAMPLES) {
+        dropped += samples.length - MAX_SAMPLES;
+        samples = samples.slice(-MAX_SAMPLES);
+      }
+    },
+
+    // see lib/run-file.js: flush() writes in the background, drain() waits for it
+    flush(options) {
+      file.flush(options);
+    },
+
+    drain() {
+      return file.drain();
+    },
+
+    // from memory, or from the file when the range starts before what's kept
+    async query(range = {}) {
+      if (dropped && (range.from || 0) < samples[0].t) {
+        await file.drain();
+        return selectSamples(readRun(runId, dir) || [], range);
+      }
+      return selectSamples(samples, range);
+    },
+
+    status() {
+      return {
+        runId,
+        runStartedAt,
+        intervalMs,
+        samples: dropped + samples.length,
+      };
+    },
+  };
+};
+
+// Recorded runs of one sim, newest first
+export const listRuns = (simId, dir = METRICS_DIR) =>
+  listRunFiles(dir, simId).map(({ runId, size, updatedAt }) => ({
+    runId,
+    size,
+    updatedAt,
+  }));
+
+// Samples of a recorded run, null if there is no such run
+export const readRun = (runId, dir = METRICS_DIR) => {
+  if (!RUN_ID_PATTERN.test(runId)) return null;
+  const file = path.resolve(dir, `${runId}.jsonl`);
+  if (!fs.existsSync(file)) return null;
+  return fs
+    .readFileSync(file, "utf8")
+    .split("\n")
+    .filter((line) => line.trim())
+    .flatMap((line) => {
+      try {
+        return [JSON.parse(line)];
+      } catch {
+        return []; // torn last line after a crash
+      }
+    });
+};
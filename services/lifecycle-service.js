@@ -0,0 +1,176 @@
+// Request lifecycle: every request of the current run with its event history,
+// so a single passenger's journey can be looked up after it was served.
+// Events (each { event, at, ... }):
+//   created                            - request made (hall call, car call, scenario, ...)
+//   split                              - part of a group boarded on its own (on both requests)
+//   assigned / reassigned / unassigned - car chosen / changed / dropped by the scheduler
+//   escalated                          - waited too long, gets priority (updatePriorities)
+//   pickedUp, droppedOff
+//   cancelled                          - withdrawn before pickup (sim.cancelRequest)
+//   evacuated                          - got out of a car whose doors stuck open, the
+//                                        trip continues as its follow-up request
+// Strategies change requests in place, so assignment changes are found by
+// diffing against the last seen state once per tick; `onEvent(event, request)`
+// gets every event as it is found (the trace recorder writes them out).
+// A hall call ends at pickedUp (an evacuated request at evacuated): the trip
+// continues as its follow-up request (followUpId), whose status it reports from
+// then on.
+
+export const REQUEST_STATUSES = [
+  "pending",
+  "assigned",
+  "onboard",
+  "served",
+  "cancelled",
+];
+
+export const createLifecycle = ({ onEvent = null } = {}) => {
+  const records = new Map(); // id -> { request, events, seen }
+  const open = new Set(); // ids that can still change
+
+  const push = (rec, event, at, details = {}) => {
+    const e = { event, at, ...details };
+    rec.events.push(e);
+    if (onEvent) onEvent(e, rec.request);
+  };
+
+  const add = (request, seen) => {
+    const rec = { request, events: [], seen };
+    records.set(request.id, rec);
+    open.add(request.id);
+    return rec;
+  };
+
+  const syncOne = (rec, at) => {
+    const r = rec.request;
+    const seen = rec.seen;
+    const assignedTo = r.assignedTo ?? null;
+
+    if (assignedTo !== seen.assignedTo) {
+      if (seen.assignedTo == null) {
+        push(rec, "assigned", at, { elevatorId: assignedTo });
+      } else if (assignedTo == null) {
+        push(rec, "unassigned", at, { elevatorId: seen.assignedTo });
+      } else {
+        push(rec, "reassigned", at, {
+          elevatorId: assignedTo,
+          from: seen.assignedTo,
+        });
+      }
+      seen.assignedTo = assignedTo;
+    }
+    // (priorities keep being updated on board, only escalation while waiting counts)
+    if (r.escalated && !seen.escalated) {
+      if (r.pickupTime == null) push(rec, "escalated", at);
+      seen.escalated = true;
+    }
+    if (r.pickupTime != null && !seen.pickedUp) {
+      push(rec, "pickedUp", r.pickupTime, {
+        elevatorId: assignedTo,
+        ...(r.followUpId ? { followUpId: r.followUpId } : {}),
+      });
+      seen.pickedUp = true;
+      if (r.followUpId) open.delete(r.id);
+    }
+    if (r.evacuatedAt != null) {
+      push(rec, "evacuated", r.evacuatedAt, {
+        elevatorId: assignedTo,
+        followUpId: r.followUpId,
+      });
+      open.delete(r.id);
+      return;
+    }
+    if (r.dropoffTime != null) {
+      push(rec, "droppedOff", r.dropoffTime, { elevatorId: assignedTo });
+      open.delete(r.id);
+    }
+  };
+
+  const statusOf = (r) => {
+    if (r.followUpId && records.has(r.followUpId)) {
+      return statusOf(records.get(r.followUpId).request);
+    }
+    if (r.cancelledAt != null) return "cancelled";
+    if (r.dropoffTime != null) return "served";
+    if (r.pickupTime != null) return "onboard";
+    if (r.assignedTo != null) return "assigned";
+    return "pending";
+  };
+
+  return {
+    // called by sim._enqueue for every new request
+    created(request, at) {
+      const rec = add(request, {
+        assignedTo: null,
+        escalated: false,
+        pickedUp: false,
+      });
+      push(rec, "created", at, {
+        ...(request.hallCallId ? { hallCallId: request.hallCallId } : {}),
+        ...(request.evacuatedFrom
+          ? { evacuatedFrom: request.evacuatedFrom }
+          : {}),
+      });
+      syncOne(rec, at); // car calls are assigned (and on board) from the start
+    },
+
+    // called by sim._splitRequest: `part` boards, the rest of the group keeps waiting
+    split(part, at) {
+      const parent = records.get(part.splitFrom);
+      if (parent) {
+        push(parent, "split", at, { into: part.id, groupSize: part.groupSize });
+      }
+      const rec = add(part, {
+        assignedTo: part.assignedTo ?? null,
+        escalated: !!part.escalated,
+        pickedUp: false,
+      });
+      push(rec, "split", at, {
+        from: part.splitFrom,
+        groupSize: part.groupSize,
+        elevatorId: part.assignedTo ?? null,
+      });
+    },
+
+    // called by sim.cancelRequest
+    cancelled(request, at) {
+      const rec = records.get(request.id);
+      if (!rec) return;
+      syncOne(rec, at); // changes made earlier in this tick
+      push(rec, "cancelled", at);
+      open.delete(request.id);
+    },
+
+    // called once per tick
+    sync(at) {
+      for (const id of open) syncOne(records.get(id), at);
+    },
+
+    get(id) {
+      const rec = records.get(id);
+      if (!rec) return null;
+      return {
+        ...rec.request,
+        status: statusOf(rec.request),
+        events: rec.events.map((e) => ({ ...e })),
+      };
+    },
+
+    // Requests in creation order; hall calls that were picked up are listed
+    // through their follow-up request only
+    list({ status = null, offset = 0, limit = 50 } = {}) {
+      const matching = [];
+      for (const { request } of records.values()) {
+        if (request.followUpId) continue;
+        const s = statusOf(request);
+        if (!status || s === status) matching.push({ ...request, status: s });
+      }
+      return {
+        total: matching.length,
+        offset,
+        limit,
+        requests: matching.slice(offset, offset + limit),
+      };
+    },
+  };
+};
@@ -0,0 +1,227 @@
+import { HISTOGRAM_BOUNDS_MS, travelOf, waitOf } from "./stats-service.js";
+
+// Prometheus / OpenMetrics text exposition of every sim, for GET /metrics.
+// Every series has a `sim` label (session id) and, where it is about a car,
+// an `elevator` label. Durations are seconds of sim-time, except the
+// scheduler's own run time which is real time.
+
+export const CONTENT_TYPE =
+  "application/openmetrics-text; version=1.0.0; charset=utf-8";
+
+const BOUNDS_S = HISTOGRAM_BOUNDS_MS.map((ms) => ms / 1000);
+const DOOR_STATES = ["closed", "opening", "open", "closing"];
+
+const escapeLabel = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const parts = Object.entries(labels).map(
+    ([k, v]) => `${k}="${escapeLabel(v)}"`
+  );
+  return parts.length ? `{${parts.join(",")}}` : "";
+};
+
+// OpenMetrics wants le values as floats ("5.0", "+Inf")
+const formatLe = (le) =>
+  le === Infinity ? "+Inf" : Number.isInteger(le) ? `${le}.0` : String(le);
+
+const formatValue = (v) => (Number.isFinite(v) ? String(v) : "NaN");
+
+// Collects the lines of one metric family
+const family = (lines, name, type, help) => {
+  lines.push(`# TYPE ${name} ${type}`, `# HELP ${name} ${help}`);
+  return (suffix, labels, value) =>
+    lines.push(`${name}${suffix}${formatLabels(labels)} ${formatValue(value)}`);
+};
+
+const writeHistogram = (sample, labels, valuesS) => {
+  let sum = 0;
+  for (const v of valuesS) sum += v;
+  for (const le of [...BOUNDS_S, Infinity]) {
+    const count = valuesS.filter((v) => v <= le).length;
+    sample("_bucket", { ...labels, le: formatLe(le) }, count);
+  }
+  sample("_count", labels, valuesS.length);
+  sample("_sum", labels, sum);
+};
+
+// served requests grouped by the car that carried them
+const byElevator = (sim, requests) => {
+  const groups = new Map(sim.elevators.map((e) => [e.id, []]));
+  for (const r of requests) {
+    if (groups.has(r.assignedTo)) groups.get(r.assignedTo).push(r);
+  }
+  return groups;
+};
+
+/**
+ * renderOpenMetrics(sims)
+ * sims: [{ id, sim }]. Returns the exposition text, terminated by "# EOF".
+ */
+export const renderOpenMetrics = (sims) => {
+  const lines = [];
+  const seconds = (ms) => ms / 1000;
+
+  const served = family(
+    lines,
+    "elevator_requests_served",
+    "counter",
+    "Requests dropped off at their destination."
+  );
+  for (const { id, sim } of sims) {
+    for (const [elevator, rs] of byElevator(sim, sim.servedRequests)) {
+      served("_total", { sim: id, elevator }, rs.length);
+    }
+  }
+
+  const passengers = family(
+    lines,
+    "elevator_passengers_served",
+    "counter",
+    "Passengers dropped off (requests weighted by group size)."
+  );
+  for (const { id, sim } of sims) {
+    for (const [elevator, rs] of byElevator(sim, sim.servedRequests)) {
+      const n = rs.reduce((a, r) => a + (r.groupSize || 1), 0);
+      passengers("_total", { sim: id, elevator }, n);
+    }
+  }
+
+  const wait = family(
+    lines,
+    "elevator_wait_seconds",
+    "histogram",
+    "Sim-time from call to pickup of served requests."
+  );
+  for (const { id, sim } of sims) {
+    for (const [elevator, rs] of byElevator(sim, sim.servedRequests)) {
+      writeHistogram(
+        wait,
+        { sim: id, elevator },
+        rs.map((r) => seconds(waitOf(r)))
+      );
+    }
+  }
+
+  const travel = family(
+    lines,
+    "elevator_travel_seconds",
+    "histogram",
+    "Sim-time from pickup to dropoff of served requests."
+  );
+  for (const { id, sim } of sims) {
+    for (const [elevator, rs] of byElevator(sim, sim.servedRequests)) {
+      writeHistogram(
+        travel,
+        { sim: id, elevator },
+        rs.map((r) => seconds(travelOf(r)))
+      );
+    }
+  }
+
+  const latency = family(
+    lines,
+    "elevator_assignment_latency_seconds",
+    "histogram",
+    "Sim-time from hall call to the scheduler's first assignment."
+  );
+  for (const { id, sim } of sims) {
+    const assigned = [...sim.servedRequests, ...sim.pendingRequests].filter(
+      (r) => r.type === "external" && r.assignedAt != null
+    );
+    for (const [elevator, rs] of byElevator(sim, assigned)) {
+      writeHistogram(
+        latency,
+        { sim: id, elevator },
+        rs.map((r) => seconds(r.assignedAt - r.timestamp))
+      );
+    }
+  }
+
+  const pending = family(
+    lines,
+    "elevator_pending_requests",
+    "gauge",
+    'Requests not yet dropped off, by assigned car ("none" = unassigned).'
+  );
+  for (const { id, sim } of sims) {
+    const counts = new Map(sim.elevators.map((e) => [e.id, 0]));
+    counts.set("none", 0);
+    for (const r of sim.pendingRequests) {
+      const key = counts.has(r.assignedTo) ? r.assignedTo : "none";
+      counts.set(key, counts.get(key) + 1);
+    }
+    for (const [elevator, n] of counts) {
+      pending("", { sim: id, elevator }, n);
+    }
+  }
+
+  const carGauge = (name, help, valueOf) => {
+    const sample = family(lines, name, "gauge", help);
+    for (const { id, sim } of sims) {
+      for (const e of sim.elevators) {
+        sample("", { sim: id, elevator: e.id }, valueOf(e, sim));
+      }
+    }
+  };
+  carGauge(
+    "elevator_utilization_ratio",
+    "Share of sim-time the car carried passengers since the run started.",
+    (e, sim) => (e.utilTime || 0) / (sim.clock.now() || 1)
+  );
+  carGauge(
+    "elevator_floor",
+    "Current floor of the car.",
+    (e) => e.currentFloor
+  );
+  carGauge("elevator_passengers", "Persons on board.", (e) => e.passengerCount);
+  carGauge("elevator_in_service", "1 unless a fault is injected.", (e) =>
+    e.fault ? 0 : 1
+  );
+
+  const door = family(
+    lines,
+    "elevator_door_state",
+    "stateset",
+    "Door state of the car."
+  );
+  for (const { id, sim } of sims) {
+    for (const e of sim.elevators) {
+      for (const state of DOOR_STATES) {
+        door(
+          "",
+          { sim: id, elevator: e.id, elevator_door_state: state },
+          e.doorState === state ? 1 : 0
+        );
+      }
+    }
+  }
+
+  const schedulerRuns = family(
+    lines,
+    "elevator_scheduler_run_seconds",
+    "summary",
+    "Real time spent in the scheduling strategy per tick."
+  );
+  for (const { id, sim } of sims) {
+    const stats = sim.scheduler?.stats || { runs: 0, totalMs: 0 };
+    schedulerRuns("_count", { sim: id }, stats.runs);
+    schedulerRuns("_sum", { sim: id }, stats.totalMs / 1000);
+  }
+
+  const simTime = family(
+    lines,
+    "elevator_sim_time_seconds",
+    "gauge",
+    "Sim clock of the current run."
+  );
+  for (const { id, sim } of sims) {
+    simTime("", { sim: id }, seconds(sim.clock.now()));
+  }
+
+  lines.push("# EOF");
+  return lines.join("\n") + "\n";
+};
@@ -0,0 +1,207 @@
+import { servesFloor } from "../models/elevator-model.js";
+
+// Idle car parking: a car that has been idle (no targets, doors closed, empty)
+// for `idleDelay` sim-ms is sent to a parking floor so the next call finds a
+// car close by. Parking moves are not passenger trips: the car keeps an empty
+// targetFloors list while it repositions (see sim._processElevatorMovement),
+// so every strategy still sees it as idle and can take it for a request.
+//
+// Policies:
+//   lobby  - every idle car waits at the lobby (up-peak)
+//   spread - cars spread evenly over the floors they serve
+//   demand - cars wait at the floors with the most demand: learned rates for this
+//            time of day (services/demand-service.js), else the most recent hall calls
+//   auto   - lobby in up-peak (learned pattern), else demand, spread without demand data
+
+export const PARKING_POLICIES = ["auto", "lobby", "spread", "demand"];
+
+export const DEFAULT_PARKING = {
+  policy: "auto",
+  idleDelay: 5000, // sim-ms a car must be idle before it is moved
+  demandHalfLife: 5 * 60 * 1000, // sim-ms: weight of a call halves every 5 minutes
+};
+
+// null/false -> no parking (cars stay where they stopped), true -> defaults,
+// object -> defaults overridden by the given values. Throws on invalid values.
+export const normalizeParking = (parking) => {
+  if (!parking) return null;
+  const p = { ...DEFAULT_PARKING, ...(parking === true ? {} : parking) };
+  if (!PARKING_POLICIES.includes(p.policy)) {
+    throw new Error(
+      `Unknown parking policy "${p.policy}". Allowed: ${PARKING_POLICIES.join(
+        ", "
+      )}.`
+    );
+  }
+  if (!Number.isFinite(p.idleDelay) || p.idleDelay < 0) {
+    throw new Error("parking.idleDelay must be a non-negative number (ms).");
+  }
+  if (!Number.isFinite(p.demandHalfLife) || p.demandHalfLife <= 0) {
+    throw new Error("parking.demandHalfLife must be a positive number (ms).");
+  }
+  return p;
+};
+
+// Floors the cars of one group can park at (every floor unless restricted)
+const groupFloors = (cars, nFloors) => {
+  const floors = new Set();
+  for (const e of cars) {
+    for (let f = 1; f <= nFloors; f++) if (servesFloor(e, f)) floors.add(f);
+  }
+  return [...floors].sort((a, b) => a - b);
+};
+
+// `count` floors evenly spaced over `floors` (middle of each slice)
+const spreadHomes = (floors, count) =>
+  Array.from(
+    { length: count },
+    (_, i) => floors[Math.floor(((i + 0.5) * floors.length) / count)]
+  );
+
+// Nearest floor the car stops at
+const nearestServed = (e, floor, floors) =>
+  servesFloor(e, floor)
+    ? floor
+    : floors
+        .filter((f) => servesFloor(e, f))
+        .reduce(
+          (best, f) =>
+            best == null || Math.abs(f - floor) < Math.abs(best - floor)
+              ? f
+              : best,
+          null
+        );
+
+export const createParking = (sim, options) => {
+  const { idleDelay, demandHalfLife } = options;
+
+  // Recent hall-call demand per floor, each call weighted by 0.5^(age / half-life).
+  // Served requests are in dropoff order: the scan stops at the first one
+  // dropped off more than a few half-lives ago.
+  const demandByFloor = () => {
+    const now = sim.clock.now();
+    const horizon = demandHalfLife * 6;
+    const demand = new Map();
+    const add = (r) => {
+      // passengers already in the car when they made the request aren't hall demand
+      if (r.type === "internal" && !r.hallCallId) return;
+      const age = now - r.timestamp;
+      const weight = (r.groupSize || 1) * Math.pow(0.5, age / demandHalfLife);
+      demand.set(r.origin, (demand.get(r.origin) || 0) + weight);
+    };
+    const served = sim.servedRequests;
+    for (let i = served.length - 1; i >= 0; i--) {
+      if (now - served[i].dropoffTime > horizon) break;
+      add(served[i]);
+    }
+    for (const r of sim.pendingRequests) add(r);
+    return demand;
+  };
+
+  const policyNow = (demand) => {
+    if (options.policy !== "auto") return options.policy;
+    if (sim.trafficPattern() === "upPeak") return "lobby";
+    return demand.size ? "demand" : "spread";
+  };
+
+  // Parking floors for a group of cars sharing the same floors (a zone)
+  const homesFor = (cars, policy, demand) => {
+    const floors = groupFloors(cars, sim.config.nFloors);
+    if (!floors.length) return [];
+    if (policy === "lobby") {
+      const lobby = sim.config.lobbyFloor || 1;
+      return cars.map((e) => nearestServed(e, lobby, floors));
+    }
+    if (policy === "demand") {
+      const hot = floors
+        .filter((f) => demand.get(f) > 0)
+        .sort((a, b) => demand.get(b) - demand.get(a))
+        .slice(0, cars.length);
+      // fewer hot floors than cars: the rest spread out
+      if (hot.length < cars.length) {
+        const rest = floors.filter((f) => !hot.includes(f));
+        if (rest.length) {
+          hot.push(...spreadHomes(rest, cars.length - hot.length));
+        }
+      }
+      return hot;
+    }
+    return spreadHomes(floors, cars.length);
+  };
+
+  const isIdle = (e) =>
+    !e.fault &&
+    !e._trip &&
+    e.targetFloors.length === 0 &&
+    e.doorState === "closed" &&
+    e.passengerCount === 0;
+
+  // Called once per tick, after the scheduler has assigned requests
+  const step = () => {
+    const now = sim.clock.now();
+    const cars = sim.elevators.filter((e) => !e.fault);
+    if (!cars.length) return;
+
+    const learned = sim.demand ? sim.demand.floorRates(now) : new Map();
+    const demand = learned.size ? learned : demandByFloor();
+    const policy = policyNow(demand);
+
+    const groups = new Map(); // zone -> cars
+    for (const e of cars) {
+      const key = e.zone ?? "";
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(e);
+    }
+
+    for (const group of groups.values()) {
+      const homes = homesFor(group, policy, demand);
+      const free = [...homes];
+      const claim = (floor) => {
+        const i = free.indexOf(floor);
+        if (i !== -1) free.splice(i, 1);
+      };
+
+      // busy cars and cars already parking keep (and claim) the home closest to where they end up
+      const waiting = [];
+      for (const e of group) {
+        if (e._rebalanceTarget != null) {
+          claim(e._rebalanceTarget);
+        } else if (!isIdle(e)) {
+          const end = e.targetFloors.length
+            ? e.targetFloors[e.targetFloors.length - 1]
+            : e.currentFloor;
+          const home = free
+            .filter((f) => servesFloor(e, f))
+            .sort((a, b) => Math.abs(a - end) - Math.abs(b - end))[0];
+          if (home != null) claim(home);
+        } else {
+          waiting.push(e);
+        }
+      }
+
+      // idle cars: closest pairs first; a car already at a free home stays there
+      const pairs = [];
+      for (const e of waiting) {
+        for (const f of new Set(free)) {
+          if (servesFloor(e, f)) {
+            pairs.push({ e, f, d: Math.abs(e.currentFloor - f) });
+          }
+        }
+      }
+      pairs.sort((a, b) => a.d - b.d);
+      const placed = new Set();
+      for (const { e, f } of pairs) {
+        if (placed.has(e.id) || !free.includes(f)) continue;
+        placed.add(e.id);
+        claim(f);
+        if (f === e.currentFloor) continue;
+        if (now - (e.statusSince || 0) < idleDelay) continue;
+
+        e._rebalanceTarget = f;
+        e.repositionMoves = (e.repositionMoves || 0) + 1;
+      }
+    }
+  };
+
+  return { step, demandByFloor };
+};
@@ -0,0 +1,198 @@
+// Trace replay: feeds a recorded request log into a sim at the original
+// (relative) sim times, through sim.addManualRequest().
+//
+// Trace format is JSONL, one request per line:
+//   {"timestamp": 12000, "origin": 1, "destination": 7, "type": "external"}
+// `time` is accepted as an alias of `timestamp`. Extra fields are ignored.
+// Traces written by the recorder (trace-service.js) hold one line per lifecycle
+// event; only their "created" lines are replayed, minus the requests that were
+// cancelled later on (or the persons of a group still waiting at that point).
+// Hall calls have a "direction" ("up"/"down") instead of a destination.
+
+const MAX_TRACE_ENTRIES = 50_000;
+
+/**
+ * parseTrace(input, nFloors)
+ * input: JSONL string or an array of already parsed entries.
+ * Returns { entries, errors } - entries sorted by time, invalid lines reported
+ * in errors (1-based line numbers) instead of aborting the whole trace.
+ */
+export const parseTrace = (input, nFloors) => {
+  const rows = Array.isArray(input)
+    ? input.map((value, i) => ({ line: i + 1, value }))
+    : String(input || "")
+        .split(/\r?\n/)
+        .map((text, i) => ({ line: i + 1, text: text.trim() }))
+        .filter((row) => row.text);
+
+  if (rows.length > MAX_TRACE_ENTRIES) {
+    throw new Error(
+      `Trace too large (${rows.length} entries). Max allowed is ${MAX_TRACE_ENTRIES}.`
+    );
+  }
+
+  const entries = [];
+  const errors = [];
+  const hallCalls = []; // { entry, id } - recorded hall calls
+  const pickedFloors = new Map(); // hall call id -> floor picked on boarding
+  const recorded = new Map(); // entry -> id of the recorded request
+  const cancelled = new Map(); // id -> its "cancelled" line
+
+  for (const row of rows) {
+    let value = row.value;
+    if (row.text != null) {
+      try {
+        value = JSON.parse(row.text);
+      } catch (e) {
+        errors.push({ line: row.line, error: "Invalid JSON" });
+        continue;
+      }
+    }
+
+    if (value && value.event === "cancelled" && value.id != null) {
+      cancelled.set(value.id, value);
+      continue;
+    }
+    if (value && value.event != null && value.event !== "created") continue;
+    // 2nd legs of recorded cross-zone journeys are re-created by the sim itself
+    if (value && value.leg === 2) continue;
+    // faults aren't replayed: re-create the request, not its evacuated rest
+    if (value && value.evacuatedFrom != null) continue;
+    // follow-ups of recorded hall calls too; keep the floor that was picked
+    if (value && value.hallCallId != null) {
+      pickedFloors.set(value.hallCallId, value.destination);
+      continue;
+    }
+
+    const time = Number(value?.timestamp ?? value?.time);
+    const {
+      origin,
+      type = "external",
+      elevatorId,
+      groupSize,
+      weight,
+      direction,
+    } = value || {};
+    const destination = value?.finalDestination ?? value?.destination;
+
+    if (!Number.isFinite(time) || time < 0) {
+      errors.push({ line: row.line, error: "Missing or invalid timestamp" });
+    } else if (destination == null && direction != null) {
+      if (
+        typeof origin !== "number" ||
+        origin < 1 ||
+        origin > nFloors ||
+        !["up", "down"].includes(direction)
+      ) {
+        errors.push({
+          line: row.line,
+          error: `Hall calls need an origin between 1 and ${nFloors} and a direction "up" or "down".`,
+        });
+        continue;
+      }
+      const entry = {
+        time,
+        type,
+        origin,
+        direction,
+        ...(groupSize != null ? { groupSize } : {}),
+        ...(weight != null ? { weight } : {}),
+      };
+      entries.push(entry);
+      if (value.id != null) {
+        hallCalls.push({ entry, id: value.id });
+        recorded.set(entry, value.id);
+      }
+    } else if (
+      typeof origin !== "number" ||
+      typeof destination !== "number" ||
+      origin < 1 ||
+      destination < 1 ||
+      origin > nFloors ||
+      destination > nFloors
+    ) {
+      errors.push({
+        line: row.line,
+        error: `Origin and destination must be numbers between 1 and ${nFloors}.`,
+      });
+    } else if (origin === destination) {
+      errors.push({
+        line: row.line,
+        error: "Origin and destination cannot be the same floor.",
+      });
+    } else if (!["external", "internal"].includes(type)) {
+      errors.push({ line: row.line, error: `Invalid type "${type}"` });
+    } else {
+      const entry = {
+        time,
+        type,
+        origin,
+        destination,
+        ...(elevatorId != null ? { elevatorId } : {}),
+        ...(groupSize != null ? { groupSize } : {}),
+        ...(weight != null ? { weight } : {}),
+      };
+      entries.push(entry);
+      if (value.id != null) recorded.set(entry, value.id);
+    }
+  }
+
+  for (const { entry, id } of hallCalls) {
+    if (pickedFloors.has(id)) entry.intendedDestination = pickedFloors.get(id);
+  }
+
+  // a cancelled request only keeps the part of its group that boarded before
+  const kept = entries.filter((entry) => {
+    const c = cancelled.get(recorded.get(entry));
+    if (!c) return true;
+    const left = (entry.groupSize || 1) - (c.groupSize || 1);
+    if (left <= 0) return false;
+    entry.groupSize = left;
+    if (entry.weight != null && c.weight != null) entry.weight -= c.weight;
+    return true;
+  });
+
+  kept.sort((a, b) => a.time - b.time);
+  return { entries: kept, errors };
+};
+
+/**
+ * createReplay(sim, entries, { rebase })
+ * Entry times are made relative to the first entry (rebase, default) so the
+ * trace starts "now"; with rebase=false they are taken as absolute sim times.
+ * sim calls step() every tick; step() injects everything that is due.
+ */
+export const createReplay = (sim, entries, { rebase = true } = {}) => {
+  const startedAt = sim.clock.now();
+  const origin = rebase && entries.length ? entries[0].time : 0;
+  const dueAt = (entry) =>
+    rebase ? startedAt + (entry.time - origin) : entry.time;
+
+  let next = 0;
+  let injected = 0;
+  let rejected = 0;
+
+  return {
+    step() {
+      const now = sim.clock.now();
+      while (next < entries.length && dueAt(entries[next]) <= now) {
+        const { time, ...payload } = entries[next++];
+        const res = sim.addManualRequest(payload);
+        if (res.ok) injected++;
+        else rejected++;
+      }
+    },
+
+    status() {
+      return {
+        total: entries.length,
+        injected,
+        rejected,
+        remaining: entries.length - next,
+        done: next >= entries.length,
+        startedAt,
+        endsAt: entries.length ? dueAt(entries[entries.length - 1]) : startedAt,
+      };
+    },
+  };
+};
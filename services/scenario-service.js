@@ -0,0 +1,323 @@
+import fs from "fs";
+import path from "path";
+
+// User-defined scenario library. Definitions are shared by every sim and
+// persisted as JSON (SCENARIO_FILE) so they survive restarts.
+//
+// Definition:
+//   {
+//     name: "lunchReturn",                 // letters, digits, _ and -
+//     description: "...",
+//     count: 40,                           // requests per run (1..250)
+//     originWeights: { "1": 6, "5": 1 },   // floor -> weight, default: every floor 1
+//     destinationWeights: { "8": 2 },      // same, used after the direction is picked
+//     directionBias: 0.6,                  // -1 all down .. 0 neutral .. 1 all up
+//     arrival: { distribution: "ramp", windowMs: 600000, peak: 0.3 },
+//   }
+// Arrival distributions (when the requests of one run appear, over windowMs):
+//   burst   - all at once (default)
+//   even    - evenly spaced
+//   uniform - uniformly random times
+//   ramp    - ramp-up to the peak (0..1 of the window) then ramp-down
+//   poisson - Poisson process at count / windowMs (may run past the window)
+// `spreadMs: n` is short for { distribution: "even", windowMs: n }.
+// Floors missing from a weights object have weight 0; floors above the
+// building's top floor are ignored when the scenario runs.
+// morningRush and randomBurst are built in (sim.spawnScenario) and read-only.
+
+export const BUILTIN_SCENARIOS = [
+  {
+    name: "morningRush",
+    description:
+      "70% of requests from the lobby going up, the rest between random floors.",
+    count: 50,
+    builtin: true,
+  },
+  {
+    name: "randomBurst",
+    description: "Requests between uniformly random floors.",
+    count: 100,
+    builtin: true,
+  },
+];
+
+export const MAX_SCENARIO_COUNT = 250;
+export const ARRIVAL_DISTRIBUTIONS = [
+  "burst",
+  "even",
+  "uniform",
+  "ramp",
+  "poisson",
+];
+const MAX_WINDOW_MS = 24 * 60 * 60 * 1000;
+const NAME_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+const SCENARIO_FILE = process.env.SCENARIO_FILE || "data/scenarios.json";
+
+let scenarios = null; // name -> definition, loaded on first use
+
+const filePath = () => path.resolve(SCENARIO_FILE);
+
+const load = () => {
+  if (scenarios) return scenarios;
+  scenarios = new Map();
+  try {
+    if (fs.existsSync(filePath())) {
+      const list = JSON.parse(fs.readFileSync(filePath(), "utf8"));
+      for (const def of list) scenarios.set(def.name, def);
+    }
+  } catch (e) {
+    console.error("[scenarios] failed to load scenario library:", e);
+  }
+  return scenarios;
+};
+
+const save = () => {
+  fs.mkdirSync(path.dirname(filePath()), { recursive: true });
+  fs.writeFileSync(
+    filePath(),
+    JSON.stringify([...load().values()], null, 2) + "\n"
+  );
+};
+
+const isBuiltin = (name) => BUILTIN_SCENARIOS.some((s) => s.name === name);
+
+const validateWeights = (weights, key) => {
+  if (weights == null) return null;
+  if (typeof weights !== "object" || Array.isArray(weights)) {
+    throw new Error(`'${key}' must be an object of floor -> weight.`);
+  }
+  const out = {};
+  for (const [floor, w] of Object.entries(weights)) {
+    const f = Number(floor);
+    if (!Number.isInteger(f) || f < 1) {
+      throw new Error(`'${key}': "${floor}" is not a floor number.`);
+    }
+    if (!Number.isFinite(w) || w < 0) {
+      throw new Error(`'${key}': weight of floor ${f} must be >= 0.`);
+    }
+    if (w > 0) out[f] = w;
+  }
+  if (!Object.keys(out).length) {
+    throw new Error(`'${key}' needs at least one floor with a weight > 0.`);
+  }
+  return out;
+};
+
+/**
+ * normalizeArrival(arrival)
+ * null -> burst. Returns { distribution, windowMs, peak }, throws on invalid input.
+ */
+export const normalizeArrival = (arrival) => {
+  if (arrival == null) return { distribution: "burst", windowMs: 0, peak: 0.5 };
+  if (typeof arrival !== "object" || Array.isArray(arrival)) {
+    throw new Error("'arrival' must be an object { distribution, windowMs }.");
+  }
+  const { distribution = "uniform", windowMs = 0, peak = 0.5 } = arrival;
+  if (!ARRIVAL_DISTRIBUTIONS.includes(distribution)) {
+    throw new Error(
+      `Unknown arrival distribution "${distribution}". Allowed: ${ARRIVAL_DISTRIBUTIONS.join(
+        ", "
+      )}.`
+    );
+  }
+  if (
+    !Number.isFinite(windowMs) ||
+    windowMs < 0 ||
+    windowMs > MAX_WINDOW_MS ||
+    (distribution !== "burst" && windowMs === 0)
+  ) {
+    throw new Error(
+      `'arrival.windowMs' must be between 1 and ${MAX_WINDOW_MS} sim-ms.`
+    );
+  }
+  if (!Number.isFinite(peak) || peak < 0 || peak > 1) {
+    throw new Error("'arrival.peak' must be between 0 and 1.");
+  }
+  return { distribution, windowMs, peak };
+};
+
+/**
+ * arrivalOffsets(arrival, count, rng)
+ * Sorted offsets (sim-ms from the start of the run) of `count` arrivals.
+ */
+export const arrivalOffsets = (
+  { distribution, windowMs, peak },
+  count,
+  rng
+) => {
+  const offsets = [];
+  if (distribution === "poisson") {
+    const meanGap = windowMs / count;
+    let t = 0;
+    for (let i = 0; i < count; i++) {
+      offsets.push(Math.round(t));
+      t += -Math.log(1 - rng.next()) * meanGap;
+    }
+    return offsets;
+  }
+  for (let i = 0; i < count; i++) {
+    let x = 0; // fraction of the window
+    if (distribution === "even") x = count > 1 ? i / (count - 1) : 0;
+    else if (distribution === "uniform") x = rng.next();
+    else if (distribution === "ramp") {
+      // triangular distribution (inverse CDF), mode at `peak`
+      const u = rng.next();
+      x = u < peak ? Math.sqrt(u * peak) : 1 - Math.sqrt((1 - u) * (1 - peak));
+    }
+    offsets.push(Math.round(x * windowMs));
+  }
+  return offsets.sort((a, b) => a - b);
+};
+
+/**
+ * validateScenario(def)
+ * Returns the normalized definition (only known fields), throws on invalid input.
+ */
+export const validateScenario = (def) => {
+  if (!def || typeof def !== "object" || Array.isArray(def)) {
+    throw new Error("Scenario definition must be an object.");
+  }
+  const {
+    name,
+    description = "",
+    count = 10,
+    originWeights = null,
+    destinationWeights = null,
+    directionBias = 0,
+    spreadMs = null,
+    arrival = spreadMs ? { distribution: "even", windowMs: spreadMs } : null,
+  } = def;
+
+  if (typeof name !== "string" || !NAME_PATTERN.test(name)) {
+    throw new Error(
+      "'name' must be 1-40 letters, digits, '_' or '-' characters."
+    );
+  }
+  if (typeof description !== "string") {
+    throw new Error("'description' must be a string.");
+  }
+  if (!Number.isInteger(count) || count < 1 || count > MAX_SCENARIO_COUNT) {
+    throw new Error(
+      `'count' must be an integer between 1 and ${MAX_SCENARIO_COUNT}.`
+    );
+  }
+  if (
+    !Number.isFinite(directionBias) ||
+    directionBias < -1 ||
+    directionBias > 1
+  ) {
+    throw new Error("'directionBias' must be between -1 and 1.");
+  }
+
+  return {
+    name,
+    description,
+    count,
+    originWeights: validateWeights(originWeights, "originWeights"),
+    destinationWeights: validateWeights(
+      destinationWeights,
+      "destinationWeights"
+    ),
+    directionBias,
+    arrival: normalizeArrival(arrival),
+  };
+};
+
+export const listScenarios = () => [
+  ...BUILTIN_SCENARIOS,
+  ...[...load().values()].sort((a, b) => a.name.localeCompare(b.name)),
+];
+
+export const getScenario = (name) =>
+  BUILTIN_SCENARIOS.find((s) => s.name === name) || load().get(name) || null;
+
+export const createScenario = (def) => {
+  const scenario = validateScenario(def);
+  if (isBuiltin(scenario.name) || load().has(scenario.name)) {
+    return {
+      ok: false,
+      message: `Scenario "${scenario.name}" already exists.`,
+    };
+  }
+  load().set(scenario.name, scenario);
+  save();
+  return { ok: true, scenario };
+};
+
+// Replaces the whole definition; the name in the path wins over the body.
+export const updateScenario = (name, def) => {
+  if (isBuiltin(name)) {
+    return { ok: false, message: `Scenario "${name}" is built in.` };
+  }
+  if (!load().has(name)) {
+    return { ok: false, message: `Scenario "${name}" not found.` };
+  }
+  const scenario = validateScenario({ ...def, name });
+  load().set(name, scenario);
+  save();
+  return { ok: true, scenario };
+};
+
+export const deleteScenario = (name) => {
+  if (isBuiltin(name)) {
+    return { ok: false, message: `Scenario "${name}" is built in.` };
+  }
+  if (!load().delete(name)) {
+    return { ok: false, message: `Scenario "${name}" not found.` };
+  }
+  save();
+  return { ok: true, message: `Scenario "${name}" deleted.` };
+};
+
+// ---- running a stored scenario -------------------------------------------
+
+const pickWeighted = (rng, items) => {
+  const total = items.reduce((a, x) => a + x.w, 0);
+  let x = rng.next() * total;
+  for (const item of items) {
+    x -= item.w;
+    if (x < 0) return item.floor;
+  }
+  return items[items.length - 1].floor;
+};
+
+// floors of the building with their weight (every floor 1 without weights)
+const weighted = (weights, nFloors) => {
+  const items = [];
+  for (let f = 1; f <= nFloors; f++) {
+    const w = weights ? weights[f] || 0 : 1;
+    if (w > 0) items.push({ floor: f, w });
+  }
+  return items;
+};
+
+/**
+ * generateScenario(def, { nFloors, rng, count })
+ * Origin/destination pairs of one run (arrival times: see arrivalOffsets).
+ * Throws when the scenario has no floor in this building.
+ */
+export const generateScenario = (def, { nFloors, rng, count = def.count }) => {
+  const origins = weighted(def.originWeights, nFloors);
+  if (!origins.length) {
+    throw new Error(
+      `Scenario "${def.name}" has no origin floors in a ${nFloors}-floor building.`
+    );
+  }
+  const destinations = weighted(def.destinationWeights, nFloors);
+  const pUp = (1 + def.directionBias) / 2;
+
+  const trips = [];
+  for (let i = 0; i < count; i++) {
+    const origin = pickWeighted(rng, origins);
+    const up = destinations.filter((d) => d.floor > origin);
+    const down = destinations.filter((d) => d.floor < origin);
+    let candidates = rng.next() < pUp ? up : down;
+    if (!candidates.length) candidates = up.length ? up : down;
+    if (!candidates.length) {
+      // every weighted destination is the origin itself: any other floor
+      candidates = weighted(null, nFloors).filter((d) => d.floor !== origin);
+    }
+    trips.push({ origin, destination: pickWeighted(rng, candidates) });
+  }
+  return trips;
+};
@@ -0,0 +1,187 @@
+import { v4 as uuidv4 } from "uuid";
+
+import { createSimulation } from "./simulation-service.js";
+import { createHandlers, MSG, safeSend } from "./constants.js";
+
+// Simulation sessions: independent sims (own clock, config, scheduler) keyed by id.
+// The "default" sim always exists and is what the plain /api/... routes
+// and freshly connected WebSocket clients use.
+// Every sim keeps its metrics history (METRICS_DIR, see history-service.js).
+// Request traces (TRACE_DIR) are only recorded for sims created with
+// `record: true`; RECORD_RUNS=true turns them on for every sim.
+
+export const DEFAULT_SIM_ID = "default";
+const MAX_SESSIONS = 20; // each running sim has its own tick interval
+
+let _wss = null;
+const sessions = new Map(); // id -> { id, name, createdAt, sim }
+
+const describe = (session) => ({
+  id: session.id,
+  name: session.name,
+  createdAt: session.createdAt,
+  running: session.sim.running,
+  strategy: session.sim.config.strategy,
+  record: session.sim.record,
+  clients: _wss
+    ? [..._wss.clients].filter((c) => c.simId === session.id).length
+    : 0,
+});
+
+const recordByDefault = () => process.env.RECORD_RUNS === "true";
+
+const addSession = (id, name, config = {}, record = recordByDefault()) => {
+  const sim = createSimulation({ id, wss: _wss, record, history: true });
+  sim.init(config); // throws on invalid config, before anything is registered
+  const session = { id, name, createdAt: new Date().toISOString(), sim };
+  sessions.set(id, session);
+  return session;
+};
+
+export const getSession = (id) => {
+  if (id === DEFAULT_SIM_ID && !sessions.has(id)) {
+    addSession(DEFAULT_SIM_ID, "Default");
+  }
+  return sessions.get(id) || null;
+};
+
+export const getDefaultSimulation = () => getSession(DEFAULT_SIM_ID).sim;
+
+export const listSessions = () => {
+  getSession(DEFAULT_SIM_ID);
+  return [...sessions.values()].map(describe);
+};
+
+// Every sim with its id (metrics exporters)
+export const listSimulations = () => {
+  getSession(DEFAULT_SIM_ID);
+  return [...sessions.values()].map(({ id, sim }) => ({ id, sim }));
+};
+
+export const createSession = ({ name, config, record } = {}) => {
+  if (sessions.size >= MAX_SESSIONS) {
+    throw new Error(
+      `Too many simulations (max ${MAX_SESSIONS}). Destroy one first.`
+    );
+  }
+  if (record != null && typeof record !== "boolean") {
+    throw new Error("'record' must be true or false.");
+  }
+  const id = uuidv4();
+  return describe(
+    addSession(
+      id,
+      name || `Simulation ${id.slice(0, 8)}`,
+      config,
+      record ?? undefined // unset -> RECORD_RUNS
+    )
+  );
+};
+
+// Stops (writing out its recording) and removes a sim. Clients that had joined
+// it fall back to the default sim.
+export const destroySession = (id) => {
+  if (id === DEFAULT_SIM_ID) {
+    return {
+      ok: false,
+      message: "The default simulation cannot be destroyed.",
+    };
+  }
+  const session = sessions.get(id);
+  if (!session) return { ok: false, message: `Simulation ${id} not found.` };
+
+  session.sim.stop();
+  sessions.delete(id);
+
+  if (_wss) {
+    const fallback = getDefaultSimulation();
+    _wss.clients.forEach((c) => {
+      if (c.simId !== id) return;
+      c.simId = DEFAULT_SIM_ID;
+      safeSend(c, MSG.INFO(MSG.SIM_DESTROYED(id)));
+      safeSend(c, MSG.SNAPSHOT(fallback.snapshot()));
+    });
+  }
+  return { ok: true, message: `Simulation ${id} destroyed.` };
+};
+
+// Session-level WebSocket commands (the rest go to the joined sim, see createHandlers)
+const sessionHandlers = {
+  listSims: (_, ws) => {
+    safeSend(ws, MSG.SIMS(listSessions()));
+  },
+
+  createSim: (data, ws) => {
+    try {
+      const created = createSession({
+        name: data.name,
+        config: data.config,
+        record: data.record,
+      });
+      ws.simId = created.id;
+      safeSend(ws, MSG.SIM_JOINED(created));
+      safeSend(ws, MSG.SNAPSHOT(getSession(created.id).sim.snapshot()));
+    } catch (e) {
+      safeSend(ws, MSG.ERROR(e.message || String(e)));
+    }
+  },
+
+  joinSim: (data, ws) => {
+    const session = getSession(String(data.id || DEFAULT_SIM_ID));
+    if (!session) {
+      return safeSend(ws, MSG.ERROR(`Simulation ${data.id} not found.`));
+    }
+    ws.simId = session.id;
+    safeSend(ws, MSG.SIM_JOINED(describe(session)));
+    safeSend(ws, MSG.SNAPSHOT(session.sim.snapshot()));
+  },
+
+  destroySim: (data, ws) => {
+    const res = destroySession(String(data.id || ws.simId));
+    if (!res.ok) safeSend(ws, MSG.ERROR(res.message));
+    else safeSend(ws, MSG.INFO(res.message));
+  },
+};
+
+export function initSessionService(wss) {
+  _wss = wss;
+  for (const { sim } of sessions.values()) sim.wss = wss;
+
+  wss.on("connection", (ws) => {
+    ws.simId = DEFAULT_SIM_ID;
+    // send initial snapshot (non-fatal)
+    safeSend(ws, MSG.SNAPSHOT(getDefaultSimulation().snapshot()));
+
+    ws.on("message", (raw) => {
+      let data;
+      try {
+        data = JSON.parse(raw.toString());
+      } catch (e) {
+        console.error("invalid json from client", e);
+        safeSend(ws, MSG.ERROR("Invalid JSON payload"));
+        return;
+      }
+
+      try {
+        const cmd = (data.cmd || "").toString();
+        let handler = sessionHandlers[cmd];
+
+        if (!handler) {
+          // sim may have been destroyed under us
+          const session = getSession(ws.simId) || getSession(DEFAULT_SIM_ID);
+          ws.simId = session.id;
+          handler = createHandlers({ sim: session.sim })[cmd];
+        }
+
+        if (typeof handler === "function") {
+          handler(data, ws);
+        } else {
+          safeSend(ws, MSG.ERROR("Unknown command: " + cmd));
+        }
+      } catch (e) {
+        console.error("Error handling message in initSessionService:", e);
+        safeSend(ws, MSG.ERROR("Internal server error"));
+      }
+    });
+  });
+}
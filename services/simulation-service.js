@@ -1,71 +1,136 @@
 import { v4 as uuidv4 } from "uuid";
 
 import { createSimClock } from "../lib/sim-clock.js";
-import { createElevator } from "../models/elevator-model.js";
+import { createRng, randomSeed } from "../lib/prng.js";
+import {
+  AVG_PASSENGER_WEIGHT,
+  canServe,
+  carriesPerson,
+  createElevator,
+  FAULT_TYPES,
+  isFull,
+  normalizeElevatorSpec,
+  personsThatFit,
+  servesFloor,
+} from "../models/elevator-model.js";
+import { floorCrossingTimes, normalizePhysics } from "../lib/kinematics.js";
+import { createDemandModel } from "./demand-service.js";
+import {
+  energyReport,
+  meterStandby,
+  meterTravel,
+  normalizeEnergy,
+} from "./energy-service.js";
+import { createMetricsHistory } from "./history-service.js";
+import { createLifecycle } from "./lifecycle-service.js";
+import { createParking, normalizeParking } from "./parking-service.js";
 import { createScheduler } from "./scheduler-service.js";
+import { getStrategy } from "./strategies/index.js";
+import { assignRequest } from "./strategies/strategy-utils.js";
+import { createReplay, parseTrace } from "./replay-service.js";
+import { LONG_WAIT_MS, timeDistribution } from "./stats-service.js";
+import {
+  arrivalOffsets,
+  generateScenario,
+  getScenario,
+  MAX_SCENARIO_COUNT,
+  normalizeArrival,
+} from "./scenario-service.js";
+import { createTraceRecorder } from "./trace-service.js";
+import { createTrafficGenerator, normalizeTraffic } from "./traffic-service.js";
+import { applyZones, planTransfer } from "./zone-service.js";
 import {
-  createHandlers,
   DefaultAppConfig,
-  MSG,
+  motionFor,
   pickRandomFloorExcept,
-  safeSend,
 } from "./constants.js";
 
-let _wss = null;
-
-export function initSimulationService(wss) {
-  _wss = wss;
-
-  wss.on("connection", (ws) => {
-    // send initial snapshot (non-fatal)
-    safeSend(ws, MSG.SNAPSHOT(sim.snapshot()));
-
-    ws.on("message", (raw) => {
-      let data;
-      try {
-        data = JSON.parse(raw.toString());
-      } catch (e) {
-        console.error("invalid json from client", e);
-        safeSend(ws, MSG.ERROR("Invalid JSON payload"));
-        return;
-      }
-
-      const handlers = createHandlers({ sim });
-
-      try {
-        const cmd = (data.cmd || "").toString();
-        const handler = handlers[cmd];
-        if (typeof handler === "function") {
-          handler(data, ws);
-        } else {
-          safeSend(ws, MSG.ERROR("Unknown command: " + cmd));
-        }
-      } catch (e) {
-        console.error("Error handling message in initSimulationService:", e);
-        safeSend(ws, MSG.ERROR("Internal server error"));
-      }
-    });
-  });
-}
-
-const sim = {
+// Largest group a single request may carry
+const MAX_GROUP_SIZE = 20;
+
+// Door reopens allowed per stop, so a stream of late arrivals can't hold a car forever
+const MAX_DOOR_REOPENS = 3;
+
+// Fields of a cross-zone journey request (see addManualRequest / _startSecondLeg)
+const JOURNEY_FIELDS = [
+  "journeyId",
+  "leg",
+  "finalDestination",
+  "transferFloor",
+  "journeyStart",
+  "firstLeg",
+];
+
+// Each call returns an independent simulation (own clock, config, rng, scheduler).
+// `wss` is optional: without it broadcast() is a no-op (headless runs).
+// Snapshots are only broadcast to clients that joined this sim (ws.simId === id),
+// see session-service.js
+// `record` enables the JSONL trace recorder (trace-service.js) and `history`
+// the metrics history (history-service.js), one file each per run.
+export const createSimulation = ({
+  id = "default",
+  wss = null,
+  record = false,
+  history = false,
+} = {}) => ({
+  id,
+  wss,
+  record,
+  keepHistory: history,
   clock: createSimClock(),
   config: { ...DefaultAppConfig },
   elevators: [],
   pendingRequests: [],
   servedRequests: [],
+  completedJourneys: [], // two-leg (cross-zone) journeys, see _completeJourney
   running: false,
   speed: 1,
   tickIntervalHandle: null,
   scheduler: null,
-  requestSpawner: null, // interval handle
+  rng: createRng(),
+  requestSpawner: null, // background traffic generator (traffic-service.js), stepped by _tick
+  replay: null, // active trace replay (see replay-service.js)
+  scenarioRuns: [], // { id, name, arrival, run } scenarios still injecting spread-out requests
+  recorder: null, // trace recorder of the current run, if recording
+  lifecycle: null, // event history of every request of the current run
+  history: null, // metrics time series of the current run, if kept (sessions)
+  demand: null, // learned per-floor time-of-day demand, kept across runs
   _utilSamples: [], // { ts, totalUtilTime, servedCount } samples for sliding-window util
 
   init(config = {}) {
-    this.config = { ...this.config, ...config };
+    if (config.strategy != null && !getStrategy(config.strategy)) {
+      throw new Error(`Unknown scheduling strategy "${config.strategy}".`);
+    }
+    if (config.seed != null && !Number.isFinite(Number(config.seed))) {
+      throw new Error(`Seed must be a number, got "${config.seed}".`);
+    }
+    if (config.elevators != null && !Array.isArray(config.elevators)) {
+      throw new Error("'elevators' must be an array of per-car settings.");
+    }
+
+    // validate everything before touching current state
+    const next = { ...this.config, ...config };
+    next.physics = normalizePhysics(next.physics);
+    next.parking = normalizeParking(next.parking);
+    next.energy = normalizeEnergy(next.energy, next.physics);
+    if (config.elevators && config.nElevators == null) {
+      next.nElevators = config.elevators.length;
+    }
+    // per-car settings (config.elevators[i] + zones), cars without an entry use defaults
+    const { elevators: carSettings, transferFloors } = applyZones(next);
+    next.transferFloors = transferFloors;
+    const specs = carSettings.map((spec) =>
+      normalizeElevatorSpec(spec, next.nFloors)
+    );
+
+    this.config = next;
+    this.rng = createRng(
+      this.config.seed != null ? this.config.seed : randomSeed()
+    );
     this.elevators = [];
     for (let i = 0; i < this.config.nElevators; i++) {
-      const e = createElevator(i + 1, 1, 6);
+      const { startFloor, capacity, ...options } = specs[i];
+      const e = createElevator(i + 1, startFloor, capacity, options);
       // initialize statusSince in sim-time (not real Date.now())
       e.statusSince = this.clock.now();
       this.elevators.push(e);
@@ -76,7 +141,35 @@ const sim = {
     this.elevators.forEach((e) => (e.buildingFloors = this.config.nFloors));
     this.pendingRequests = [];
     this.servedRequests = [];
+    this.completedJourneys = [];
+    // every init starts a new run -> new trace and history files; the old
+    // ones still write out what they buffered
+    this.drainRecording();
+    this.recorder = this.record
+      ? createTraceRecorder({ simId: this.id })
+      : null;
+    this.lifecycle = createLifecycle({
+      onEvent: this.recorder ? this.recorder.record : null,
+    });
     this.scheduler = createScheduler(this);
+    // learned demand outlives runs (reset()/init()); only resetDemand() or
+    // another lobby floor starts it over
+    if (
+      !this.demand ||
+      this.demand.lobbyFloor !== (this.config.lobbyFloor || 1)
+    ) {
+      this.resetDemand();
+    }
+    this.parking = this.config.parking
+      ? createParking(this, this.config.parking)
+      : null;
+    this.replay = null;
+    this.scenarioRuns = [];
+    this.requestSpawner = null;
+
+    this.history = this.keepHistory
+      ? createMetricsHistory({ simId: this.id })
+      : null;
   },
 
   start() {
@@ -91,15 +184,17 @@ const sim = {
   },
 
   stop() {
+    this.drainRecording(); // also when paused (destroySession)
     if (!this.running) return;
     clearInterval(this.tickIntervalHandle);
     this.tickIntervalHandle = null;
     this.running = false;
+    // background traffic (requestSpawner) runs on the sim clock: it pauses with the sim
+  },
 
-    if (this.requestSpawner) {
-      clearInterval(this.requestSpawner);
-      this.requestSpawner = null;
-    }
+  // Resolves once the trace and metrics history of the current run are on disk
+  drainRecording() {
+    return Promise.all([this.recorder?.drain(), this.history?.drain()]);
   },
 
   reset() {
@@ -109,6 +204,13 @@ const sim = {
     this.broadcast();
   },
 
+  // Swap the scheduling strategy without touching elevators or requests,
+  // so different algorithms can be compared on the same traffic.
+  setStrategy(name) {
+    this.scheduler = createScheduler(this, name); // throws on unknown name
+    this.config.strategy = name;
+  },
+
   setSpeed(s) {
     this.speed = s;
     this.clock.setSpeed(s);
@@ -117,14 +219,33 @@ const sim = {
 
   snapshot() {
     return {
+      simId: this.id,
       time: this.clock.now(),
-      elevators: this.elevators.map((e) => ({ ...e })),
+      elevators: this.elevators.map((e) => ({
+        ...e,
+        doorOpenFraction: this._doorOpenFraction(e), // 0 closed .. 1 open, for animation
+      })),
       pendingRequests: this.pendingRequests.map((r) => ({ ...r })),
       running: this.running,
+      strategy: this.config.strategy,
+      trafficPattern: this.trafficPattern(),
+      seed: this.rng.seed,
+      replay: this.replay ? this.replay.status() : null,
+      traffic: this.requestSpawner ? this.requestSpawner.status() : null,
+      scenarios: this.scenarioStatus(),
     };
   },
 
-  metricsSnapshot() {
+  scenarioStatus() {
+    return this.scenarioRuns.map(({ id, name, arrival, run }) => ({
+      id,
+      name,
+      arrival,
+      ...run.status(),
+    }));
+  },
+
+  metricsSnapshot({ longWaitMs = LONG_WAIT_MS } = {}) {
     const now = this.clock.now();
     const served = this.servedRequests || [];
 
@@ -180,6 +301,43 @@ const sim = {
     );
     const maxPendingWait = pendingWaits.length ? Math.max(...pendingWaits) : 0;
 
+    // Faults: passengers stuck on board a failed car (now / ever in this run)
+    const strandedCount = pending.filter((r) => r.strandedAt != null).length;
+    const strandedTotal =
+      pending.filter((r) => r.stranded).length +
+      served.filter((r) => r.stranded).length;
+    const faultedElevators = this.elevators.filter((e) => e.fault).length;
+
+    // Idle car parking: empty moves, kept out of utilization above
+    const repositioning = {
+      moves: this.elevators.reduce((a, e) => a + (e.repositionMoves || 0), 0),
+      active: this.elevators.filter((e) => e._rebalanceTarget != null).length,
+      utilization: this.elevators.length
+        ? this.elevators.reduce((a, e) => a + (e.repositionTime || 0), 0) /
+          (this.elevators.length * (now || 1))
+        : 0,
+    };
+
+    // Cross-zone journeys: both legs combined (each leg also counts as served above).
+    // Counted in persons, a group's journey counts (and weighs) groupSize times.
+    const journeys = this.completedJourneys || [];
+    const persons = (list) => list.reduce((n, x) => n + (x.groupSize || 1), 0);
+    const journeyPersons = persons(journeys);
+    const avgOf = (key) =>
+      journeyPersons
+        ? journeys.reduce((a, j) => a + j[key] * (j.groupSize || 1), 0) /
+          journeyPersons
+        : 0;
+    const journeyStats = {
+      completed: journeyPersons,
+      inProgress: persons(pending.filter((r) => r.journeyId)),
+      avgWait: avgOf("wait"),
+      avgTransferWait: avgOf("transferWait"),
+      avgTravel: avgOf("travel"),
+      avgTotal: avgOf("total"),
+      maxTotal: journeys.reduce((m, j) => Math.max(m, j.total), 0),
+    };
+
     // --- Recent utilization & throughput (sliding window) ---
     const windowMs = 60 * 1000; // 60s window
     let recentUtil = 0;
@@ -222,8 +380,11 @@ const sim = {
       console.warn("[sim] metrics recent calc error", e);
     }
 
+    const passengersServed = served.reduce((n, r) => n + (r.groupSize || 1), 0);
+
     return {
       servedCount: served.length,
+      passengersServed,
       avgWait,
       maxWait,
       avgTravel,
@@ -233,27 +394,76 @@ const sim = {
       throughputPerMin,
       pendingCount,
       maxPendingWait,
+      strandedCount,
+      strandedTotal,
+      faultedElevators,
+      journeys: journeyStats,
+      repositioning,
+      // percentiles/histograms, overall and per floor, direction and elevator
+      distribution: timeDistribution(served, pending, { now, longWaitMs }),
+      energy: energyReport(this.elevators, passengersServed),
     };
   },
 
   addManualRequest({
     type = "external",
     origin = 1,
-    destination = 2,
+    direction = null,
+    destination = direction ? null : 2,
+    intendedDestination = null,
     elevatorId = null,
     isMorningRush = false,
+    groupSize = 1,
+    weight = null,
   } = {}) {
+    // Hall call (up/down button): no destination until the passenger boards
+    const hallCall = destination == null;
+    if (hallCall) {
+      const err = this._validateHallCall({
+        type,
+        origin,
+        direction,
+        intendedDestination,
+      });
+      if (err) return { ok: false, message: err };
+    }
+    if (
+      !Number.isInteger(groupSize) ||
+      groupSize < 1 ||
+      groupSize > MAX_GROUP_SIZE
+    ) {
+      return {
+        ok: false,
+        message: `groupSize must be an integer between 1 and ${MAX_GROUP_SIZE}.`,
+      };
+    }
+    if (weight != null && (!Number.isFinite(weight) || weight <= 0)) {
+      return { ok: false, message: "weight must be a positive number (kg)." };
+    }
+
     const r = {
       id: uuidv4(),
       timestamp: this.clock.now(),
       type,
       origin,
       destination,
+      ...(hallCall
+        ? {
+            direction,
+            ...(intendedDestination != null ? { intendedDestination } : {}),
+          }
+        : {}),
+      groupSize,
+      weight: weight != null ? weight : groupSize * AVG_PASSENGER_WEIGHT, // kg
       basePriority: 1,
       priority: 1,
       ...(isMorningRush ? { isMorningRush: true } : {}), // custom flag for lobby-bias
     };
 
+    // a person heavier than the rated load of every car on the trip could never board
+    const err = this._validateWeight(r);
+    if (err) return { ok: false, message: err };
+
     // Internal request from inside an elevator: attempt to assign immediately
     if (type === "internal" && elevatorId != null) {
       const elev = this.elevators.find(
@@ -263,11 +473,32 @@ const sim = {
         return { ok: false, message: `Elevator ${elevatorId} not found.` };
       }
 
+      if (elev.fault) {
+        return {
+          ok: false,
+          message: `Elevator ${elevatorId} is out of service (${elev.fault}).`,
+        };
+      }
+
+      if (!carriesPerson(elev, r)) {
+        return {
+          ok: false,
+          message: `Elevator ${elevatorId} is rated for ${elev.ratedLoad} kg, less than one person of the group.`,
+        };
+      }
+
       // Check capacity
-      if (elev.passengerCount >= elev.capacity) {
+      if (personsThatFit(elev, r) < r.groupSize) {
         return { ok: false, message: `Elevator ${elevatorId} is full.` };
       }
 
+      if (!servesFloor(elev, r.destination)) {
+        return {
+          ok: false,
+          message: `Elevator ${elevatorId} does not serve floor ${r.destination}.`,
+        };
+      }
+
       // assign to the elevator immediately and treat passenger as already onboard
       r.assignedTo = elev.id;
       r.pickupTime = this.clock.now(); // already onboard
@@ -275,10 +506,11 @@ const sim = {
       if (r.destination != null && !elev.targetFloors.includes(r.destination)) {
         elev.targetFloors.push(r.destination);
       }
-      elev.passengerCount = (elev.passengerCount || 0) + 1;
+      elev.passengerCount = (elev.passengerCount || 0) + r.groupSize;
+      elev.load = (elev.load || 0) + r.weight;
 
       // push to pendingRequests so dropoff is handled later
-      this.pendingRequests.push(r);
+      this._enqueue(r);
       return {
         ok: true,
         message: `Request added to elevator ${elev.id}`,
@@ -287,21 +519,353 @@ const sim = {
     }
 
     // Default: push as normal (external/internal without elevatorId)
+    if (!this.elevators.some((e) => canServe(e, r))) {
+      if (hallCall) {
+        return { ok: false, message: `No elevator serves floor ${origin}.` };
+      }
+      // cross-zone: ride to a transfer floor first, 2nd leg starts on arrival there
+      const transfer =
+        type === "external" ? planTransfer(this, origin, destination) : null;
+      if (transfer == null) {
+        return {
+          ok: false,
+          message: `No elevator serves both floor ${origin} and floor ${destination}.`,
+        };
+      }
+      Object.assign(r, {
+        destination: transfer,
+        finalDestination: destination,
+        transferFloor: transfer,
+        journeyId: r.id,
+        leg: 1,
+      });
+      const car = this._enqueue(r);
+      return {
+        ok: true,
+        message:
+          `Request queued as a two-leg journey via floor ${transfer}` +
+          (car ? `, take elevator ${car.id}` : ""),
+        request: r,
+      };
+    }
+    const car = this._enqueue(r);
+    return car
+      ? {
+          ok: true,
+          message: `Request assigned to elevator ${car.id}`,
+          request: r,
+        }
+      : { ok: true, message: "Request queued", request: r };
+  },
+
+  // Withdraw a request that hasn't been picked up yet (hall call or queued trip).
+  // The car it was assigned to drops the stops nobody else needs any more.
+  cancelRequest(id) {
+    const r = this.pendingRequests.find((x) => x.id === id);
+    if (!r) {
+      return { ok: false, message: `Request ${id} is not pending.` };
+    }
+    if (r.pickupTime) {
+      return { ok: false, message: `Request ${id} is already on board.` };
+    }
+
+    const now = this.clock.now();
+    this.pendingRequests = this.pendingRequests.filter((x) => x !== r);
+    r.cancelledAt = now;
+    const car = this.elevators.find((e) => e.id === r.assignedTo);
+    if (car) this._dropStops(car, r);
+
+    this.lifecycle.cancelled(r, now);
+    return { ok: true, message: `Request ${id} cancelled.`, request: r };
+  },
+
+  // Operator override: move a waiting request to another car. The assignment
+  // is locked, so strategies and door logic leave it there (only a fault frees it).
+  reassignRequest(id, elevatorId) {
+    const r = this.pendingRequests.find((x) => x.id === id);
+    if (!r) {
+      return { ok: false, message: `Request ${id} is not pending.` };
+    }
+    if (r.pickupTime) {
+      return { ok: false, message: `Request ${id} is already on board.` };
+    }
+    const e = this.elevators.find((x) => String(x.id) === String(elevatorId));
+    if (!e) return { ok: false, message: `Elevator ${elevatorId} not found.` };
+    if (e.fault) {
+      return {
+        ok: false,
+        message: `Elevator ${e.id} is out of service (${e.fault}).`,
+      };
+    }
+    if (!carriesPerson(e, r)) {
+      return {
+        ok: false,
+        message: `Elevator ${e.id} is rated for ${e.ratedLoad} kg, less than one person of request ${id}.`,
+      };
+    }
+    if (!canServe(e, r)) {
+      return {
+        ok: false,
+        message: `Elevator ${e.id} does not serve the floors of request ${id}.`,
+      };
+    }
+
+    const previous = this.elevators.find((x) => x.id === r.assignedTo);
+    if (previous && previous !== e) {
+      r.assignedTo = null;
+      this._dropStops(previous, r);
+    }
+    assignRequest(e, r);
+    r.locked = true;
+    r.operatorAssigned = true;
+    return {
+      ok: true,
+      message: `Request ${id} assigned to elevator ${e.id}.`,
+      request: r,
+    };
+  },
+
+  // Remove the stops of request `r` from car `e`, unless another request of
+  // that car still needs them
+  _dropStops(e, r) {
+    const needed = new Set();
+    for (const x of this.pendingRequests) {
+      if (x === r || x.assignedTo !== e.id) continue;
+      if (!x.pickupTime && x.origin != null) needed.add(x.origin);
+      if (x.destination != null) needed.add(x.destination);
+    }
+    const floors = [r.origin, r.destination].filter(
+      (f) => f != null && !needed.has(f)
+    );
+    e.targetFloors = e.targetFloors.filter((f) => !floors.includes(f));
+  },
+
+  // Add a request to the queue; strategies with immediate assignment
+  // (destination dispatch) pick its car right away. Returns that car or null.
+  _enqueue(r) {
     this.pendingRequests.push(r);
-    return { ok: true, message: "Request queued", request: r };
+    this.lifecycle.created(r, this.clock.now());
+    if (this.scheduler && this.scheduler.assignNow) {
+      return this.scheduler.assignNow(r);
+    }
+    return null;
   },
 
-  spawnScenario(name, _count = null) {
-    const count =
-      typeof _count === "number"
-        ? _count
-        : name === "morningRush"
-        ? 50
-        : name === "randomBurst"
-        ? 100
-        : 10;
+  // Spawn a built-in or stored scenario (scenario-service.js). `arrival` overrides
+  // the scenario's arrival distribution; the default burst injects everything now,
+  // otherwise requests are scheduled on the sim clock until done or cancelled.
+  spawnScenario(name, _count = null, arrival = null) {
+    const def = getScenario(name);
+    if (!def) return { ok: false, message: `Unknown scenario "${name}".` };
 
+    const count = _count != null ? _count : def.count;
+    if (!Number.isInteger(count) || count < 1 || count > MAX_SCENARIO_COUNT) {
+      return {
+        ok: false,
+        message: `count must be an integer between 1 and ${MAX_SCENARIO_COUNT}.`,
+      };
+    }
+
+    let spec;
+    let trips;
+    try {
+      spec = normalizeArrival(
+        arrival ||
+          def.arrival ||
+          (def.spreadMs
+            ? { distribution: "even", windowMs: def.spreadMs }
+            : null)
+      );
+      trips = def.builtin
+        ? this._builtinScenarioTrips(name, count)
+        : generateScenario(def, {
+            nFloors: this.config.nFloors,
+            rng: this.rng,
+            count,
+          });
+    } catch (err) {
+      return { ok: false, message: err.message };
+    }
+
+    if (spec.distribution === "burst") {
+      for (const trip of trips) {
+        this.addManualRequest({ type: "external", ...trip });
+      }
+      return {
+        ok: true,
+        count: trips.length,
+        message: `Scenario ${name} spawned ${trips.length} requests.`,
+      };
+    }
+
+    // absolute sim times: rebasing would shift every arrival by the first offset
+    const now = this.clock.now();
+    const offsets = arrivalOffsets(spec, trips.length, this.rng);
+    const entries = trips.map((trip, i) => ({
+      time: now + offsets[i],
+      type: "external",
+      ...trip,
+    }));
+    const run = createReplay(this, entries, { rebase: false });
+    run.step(); // whatever is due right away
+    const id = uuidv4();
+    if (!run.status().done) {
+      this.scenarioRuns.push({ id, name, arrival: spec, run });
+    }
+    return {
+      ok: true,
+      id,
+      count: trips.length,
+      message: `Scenario ${name} started: ${trips.length} requests, ${spec.distribution} arrivals over ${spec.windowMs}ms.`,
+    };
+  },
+
+  // Stop injecting the rest of a running scenario (all of them without id).
+  // Requests already made stay. Returns how many runs were cancelled.
+  cancelScenario(id = null) {
+    const before = this.scenarioRuns.length;
+    this.scenarioRuns =
+      id == null ? [] : this.scenarioRuns.filter((s) => s.id !== id);
+    return before - this.scenarioRuns.length;
+  },
+
+  // Put a car into a fault state. Its not-yet-picked-up requests go back to the
+  // scheduler; what happens to the passengers on board depends on the fault:
+  //   outOfService - the car still takes them to their floors, then stays parked
+  //   stuck        - the car is held where it is (between floors too): stranded
+  //   doorFault    - the doors stay as they are: closed -> stranded,
+  //                  open -> everyone gets out here (see _evacuate)
+  injectFault(elevatorId, fault) {
+    if (!FAULT_TYPES.includes(fault)) {
+      return {
+        ok: false,
+        message: `Invalid fault "${fault}". Allowed: ${FAULT_TYPES.join(
+          ", "
+        )}.`,
+      };
+    }
+    const e = this.elevators.find((x) => String(x.id) === String(elevatorId));
+    if (!e) return { ok: false, message: `Elevator ${elevatorId} not found.` };
+    if (e.fault) {
+      return {
+        ok: false,
+        message: `Elevator ${e.id} already has a fault (${e.fault}).`,
+      };
+    }
+
+    const now = this.clock.now();
+    e.fault = fault;
+    e._rebalanceTarget = null;
+    e.faultSince = now;
+    e.statusSince = now;
+
+    let reassigned = 0;
+    for (const r of this.pendingRequests) {
+      if (r.assignedTo !== e.id || r.pickupTime) continue;
+      r.assignedTo = null; // scheduler picks another car on next tick
+      reassigned++;
+    }
+
+    const onBoard = () =>
+      this.pendingRequests.filter((r) => r.assignedTo === e.id);
+    let evacuated = 0;
+    let stranded = 0;
+    if (fault === "outOfService") {
+      // only the stops of the passengers on board are left
+      const dropoffs = onBoard().map((r) => r.destination);
+      e.targetFloors = e.targetFloors.filter((f) => dropoffs.includes(f));
+      for (const f of dropoffs) {
+        if (!e.targetFloors.includes(f)) e.targetFloors.push(f);
+      }
+    } else {
+      // (a stuck car keeps its trip progress, see clearFault)
+      e.targetFloors = [];
+      if (fault === "doorFault" && e.doorState !== "closed") {
+        evacuated = this._evacuate(e);
+      }
+      for (const r of onBoard()) {
+        r.stranded = true;
+        r.strandedAt = now;
+        stranded += r.groupSize;
+      }
+    }
+
+    return {
+      ok: true,
+      message:
+        `Elevator ${e.id} is now ${fault}. ${reassigned} requests reassigned, ` +
+        (evacuated ? `${evacuated} passengers got out, ` : "") +
+        `${stranded} passengers stranded.`,
+    };
+  },
+
+  clearFault(elevatorId) {
+    const e = this.elevators.find((x) => String(x.id) === String(elevatorId));
+    if (!e) return { ok: false, message: `Elevator ${elevatorId} not found.` };
+    if (!e.fault) {
+      return { ok: false, message: `Elevator ${e.id} has no fault.` };
+    }
+
+    const now = this.clock.now();
+    for (const r of this.pendingRequests) {
+      if (r.assignedTo !== e.id || r.strandedAt == null) continue;
+      r.strandedTime = (r.strandedTime || 0) + (now - r.strandedAt);
+      r.strandedAt = null;
+      // resume the trip of passengers still on board
+      if (!e.targetFloors.includes(r.destination)) {
+        e.targetFloors.push(r.destination);
+      }
+    }
+
+    // a car held between floors restarts from the last floor it passed
+    if (e.fault !== "outOfService") e._trip = null;
+    e.fault = null;
+    e.faultSince = null;
+    e.statusSince = now;
+    return { ok: true, message: `Elevator ${e.id} is back in service.` };
+  },
+
+  // Doors stuck open: everyone on board leaves the car at this floor. Passengers
+  // at their floor are dropped off as usual, the others wait for another car as
+  // a follow-up request (keeps the original call time, like a hall call's).
+  // Returns how many persons got out short of their floor.
+  _evacuate(e) {
+    this._exchangePassengers(e); // dropoffs only, pickups were reassigned
+    const now = this.clock.now();
+    let evacuated = 0;
+    for (const r of this.pendingRequests.slice()) {
+      if (r.assignedTo !== e.id || !r.pickupTime) continue;
+      const next = {
+        id: uuidv4(),
+        timestamp: r.timestamp,
+        type: "external",
+        origin: e.currentFloor,
+        destination: r.destination,
+        groupSize: r.groupSize,
+        weight: r.weight,
+        basePriority: 1,
+        priority: 1,
+        evacuatedFrom: r.id,
+      };
+      // an interrupted cross-zone journey continues as the same leg
+      for (const key of JOURNEY_FIELDS) {
+        if (r[key] !== undefined) next[key] = r[key];
+      }
+      e.passengerCount = Math.max(0, e.passengerCount - r.groupSize);
+      e.load = Math.max(0, e.load - r.weight);
+      r.evacuatedAt = now;
+      r.followUpId = next.id;
+      this.pendingRequests = this.pendingRequests.filter((x) => x !== r);
+      this._enqueue(next);
+      evacuated += r.groupSize;
+    }
+    return evacuated;
+  },
+
+  // Origin/destination pairs of the built-in scenarios
+  _builtinScenarioTrips(name, count) {
     const totalFloors = this.config.nFloors;
+    const trips = [];
 
     if (name === "morningRush") {
       const lobbyRatio = 0.7;
@@ -316,78 +880,121 @@ const sim = {
         const maxDest = totalFloors || 2;
         const destination =
           maxDest >= minDest
-            ? Math.floor(Math.random() * (maxDest - minDest + 1)) + minDest
-            : pickRandomFloorExcept(origin, totalFloors);
+            ? this.rng.int(minDest, maxDest)
+            : pickRandomFloorExcept(origin, totalFloors, this.rng);
 
-        this.addManualRequest({
-          type: "external",
-          origin,
-          destination,
-          basePriority: 1,
-          priority: 1,
-          isMorningRush: true,
-        });
+        trips.push({ origin, destination, isMorningRush: true });
       }
 
       // generate remaining uniformly-random requests
       for (let i = 0; i < numOthers; i++) {
-        const origin = Math.floor(Math.random() * totalFloors) + 1;
-        const destination = pickRandomFloorExcept(origin, totalFloors);
-        this.addManualRequest({
-          type: "external",
+        const origin = this.rng.int(1, totalFloors);
+        const destination = pickRandomFloorExcept(
           origin,
-          destination,
-          basePriority: 1,
-          priority: 1,
-        });
+          totalFloors,
+          this.rng
+        );
+        trips.push({ origin, destination });
       }
     } else if (name === "randomBurst") {
       for (let i = 0; i < count; i++) {
-        const origin = Math.floor(Math.random() * totalFloors) + 1;
-        const destination = pickRandomFloorExcept(origin, totalFloors);
-
-        this.addManualRequest({
-          type: "external",
+        const origin = this.rng.int(1, totalFloors);
+        const destination = pickRandomFloorExcept(
           origin,
-          destination,
-          basePriority: 1,
-          priority: 1,
-        });
-      }
-    } else {
-      // generic named scenario fallback: spawn `count` uniformly random requests
-      for (let i = 0; i < count; i++) {
-        const origin = Math.floor(Math.random() * totalFloors) + 1;
-        const destination = pickRandomFloorExcept(origin, totalFloors);
-        this.addManualRequest({ type: "external", origin, destination });
+          totalFloors,
+          this.rng
+        );
+        trips.push({ origin, destination });
       }
     }
+    return trips;
+  },
+
+  // Load a JSONL trace (or parsed entries) and start injecting it on the sim clock.
+  // Replaces any replay already in progress.
+  startReplay(trace, { rebase = true } = {}) {
+    const { entries, errors } = parseTrace(trace, this.config.nFloors);
+    if (!entries.length) {
+      return {
+        ok: false,
+        message: "Trace contains no valid requests.",
+        errors,
+      };
+    }
+
+    this.replay = createReplay(this, entries, { rebase });
+    this.replay.step(); // inject whatever is due right away
+    return {
+      ok: true,
+      message: `Replaying ${entries.length} requests.`,
+      errors,
+      status: this.replay.status(),
+    };
+  },
+
+  stopReplay() {
+    if (!this.replay) return false;
+    this.replay = null;
+    return true;
+  },
+
+  // Start continuous Poisson traffic (services/traffic-service.js) until stopped.
+  // Replaces a generator that is already running.
+  startTraffic(options = {}) {
+    let normalized;
+    try {
+      normalized = normalizeTraffic(options, this.config.nFloors);
+    } catch (err) {
+      return { ok: false, message: err.message };
+    }
+    this.requestSpawner = createTrafficGenerator(this, normalized);
+    return {
+      ok: true,
+      message: `Background traffic started (${normalized.profile} profile).`,
+      status: this.requestSpawner.status(),
+    };
   },
 
-  _isMorningRushWindow() {
-    const dayMs = 24 * 60 * 60 * 1000;
-    const simDayTime = this.clock.now() % dayMs;
-    const nineAm = 9 * 60 * 60 * 1000;
-    const nineThirty = nineAm + 30 * 60 * 1000;
-    return simDayTime >= nineAm && simDayTime <= nineThirty;
+  stopTraffic() {
+    if (!this.requestSpawner) return false;
+    this.requestSpawner = null;
+    return true;
+  },
+
+  // Forget the learned traffic profile (services/demand-service.js)
+  resetDemand() {
+    this.demand = createDemandModel({
+      lobbyFloor: this.config.lobbyFloor || 1,
+    });
+  },
+
+  // Traffic pattern learned for the current time of day (services/demand-service.js):
+  // upPeak | downPeak | lunch | interfloor | unknown
+  trafficPattern() {
+    return this.demand ? this.demand.pattern(this.clock.now()) : "unknown";
   },
 
   _processElevatorMovement(e, dt) {
+    // failed cars don't move or open doors, except that a car taken out of
+    // service still finishes its trip and lets its passengers off
+    if (e.fault && !this._drainingOutOfService(e)) return;
+
     e._accTime = e._accTime || 0;
 
-    if (
-      e.doorState === "open" &&
-      this.clock.now() - (e.statusSince || 0) < this.config.doorDwell
-    ) {
-      return;
-    }
+    // car can't move until the doors are fully closed
+    if (this._processDoors(e)) return;
 
-    if (e.doorState === "open") {
-      e.doorState = "closed";
-      e.statusSince = this.clock.now();
+    // a real stop cancels parking (the car was idle, strategies may assign it)
+    if (e.targetFloors.length && e._rebalanceTarget != null) {
+      e._rebalanceTarget = null;
     }
 
-    if (!e.targetFloors || e.targetFloors.length === 0) {
+    // (a committed physics trip is always finished, even if its targets went away)
+    if (
+      !e._trip &&
+      (!e.targetFloors || e.targetFloors.length === 0) &&
+      e._rebalanceTarget == null
+    ) {
       // mark idle start in sim-time
       if (e.direction !== "idle") {
         e.direction = "idle";
@@ -401,59 +1008,27 @@ const sim = {
       // return;
     }
 
-    const target = e.targetFloors[0];
-    if (e.currentFloor === target) {
-      e.doorState = "open";
+    // with physics the car is committed to its trip's floor until it stops
+    const target = e._trip
+      ? e._trip.to
+      : e.targetFloors.length
+      ? e.targetFloors[0]
+      : e._rebalanceTarget;
+    if (e.currentFloor === target && !e.targetFloors.length) {
+      // parked: wait here with the doors closed
+      e._rebalanceTarget = null;
+      e._lastRebalanceTime = this.clock.now();
+      e.direction = "idle";
       e.statusSince = this.clock.now();
-
-      for (const r of this.pendingRequests.slice()) {
-        // PICKUP: assigned to this elevator and waiting to be picked up at this floor
-        if (
-          r.assignedTo === e.id &&
-          r.origin === e.currentFloor &&
-          !r.pickupTime
-        ) {
-          // If there's space, board passenger. Otherwise unassign so scheduler can reassign.
-          if ((e.passengerCount || 0) < e.capacity) {
-            r.pickupTime = this.clock.now();
-            e.passengerCount += 1;
-
-            // Ensure dropoff is scheduled (in case assignment missed it)
-            if (
-              r.destination != null &&
-              !e.targetFloors.includes(r.destination)
-            ) {
-              e.targetFloors.push(r.destination);
-            }
-          } else {
-            // no space: unassign this request so it will be available for other elevators
-            r.assignedTo = null;
-            // r.priority = Math.max(1, (r.priority || 1) - 0.05);
-          }
-        }
-
-        // DROPOFF: passenger leaving
-        if (
-          r.assignedTo === e.id &&
-          r.destination === e.currentFloor &&
-          r.pickupTime &&
-          !r.dropoffTime
-        ) {
-          r.dropoffTime = this.clock.now();
-          // Decrement passenger count after dropoff
-          e.passengerCount = Math.max(0, e.passengerCount - 1);
-          this.servedRequests.push(r);
-          // remove from pending - safe to mutate here since we're iterating over a slice
-          this.pendingRequests = this.pendingRequests.filter(
-            (x) => x.id !== r.id
-          );
-        }
-      }
-
-      e.targetFloors.shift();
       return;
+    } else if (e.currentFloor === target) {
+      this._openDoors(e, this.config.doorOpenTime);
+      this._processDoors(e); // zero-length opening -> passengers move right away
+      return;
+    } else if (motionFor(this.config, e).physics) {
+      this._advanceTrip(e, target, dt);
     } else {
-      const timePerFloor = this.config.timePerFloor; // sim-ms needed to move one floor
+      const { timePerFloor } = motionFor(this.config, e); // sim-ms needed to move one floor
 
       // accumulate sim dt into elevator accumulator
       e._accTime += dt;
@@ -482,11 +1057,396 @@ const sim = {
     }
   },
 
+  _drainingOutOfService(e) {
+    return (
+      e.fault === "outOfService" &&
+      (e.passengerCount > 0 || e._trip != null || e.doorState !== "closed")
+    );
+  },
+
+  // Door cycle: closed -> opening -> open -> closing -> closed.
+  // Passengers board/alight while the doors are open, each one extends the dwell.
+  // Returns true while the doors are not fully closed (car must not move).
+  _processDoors(e) {
+    const now = this.clock.now();
+    const cfg = this.config;
+
+    if (e.doorState === "opening") {
+      if (now - e.statusSince < e.doorPhaseTime) return true;
+      e.doorState = "open";
+      e.statusSince = now;
+      e.dwellTime = cfg.doorDwell;
+    }
+
+    if (e.doorState === "open") {
+      const moved = this._exchangePassengers(e);
+      e.dwellTime += moved * cfg.dwellPerPassenger;
+      if (now - e.statusSince < e.dwellTime) return true;
+      e.doorState = "closing";
+      e.statusSince = now;
+      e.doorPhaseTime = cfg.doorCloseTime;
+    }
+
+    if (e.doorState === "closing") {
+      if (
+        !e.fault &&
+        e.doorReopens < MAX_DOOR_REOPENS &&
+        this._claimHallCallAt(e)
+      ) {
+        // reverse from where the doors are: reopening is quicker the less they had closed
+        const closedFraction =
+          cfg.doorCloseTime > 0
+            ? Math.min(1, (now - e.statusSince) / cfg.doorCloseTime)
+            : 1;
+        e.doorReopens++;
+        this._openDoors(e, closedFraction * cfg.doorOpenTime);
+        e._doorFrom = 1 - closedFraction;
+        return true;
+      }
+      if (now - e.statusSince < e.doorPhaseTime) return true;
+      e.doorState = "closed";
+      e.statusSince = now;
+      e.doorReopens = 0;
+    }
+
+    return false;
+  },
+
+  _doorOpenFraction(e) {
+    const elapsed = this.clock.now() - (e.statusSince || 0);
+    const progress = (phase) => (phase > 0 ? Math.min(1, elapsed / phase) : 1);
+    if (e.doorState === "open") return 1;
+    if (e.doorState === "opening") {
+      const from = e._doorFrom || 0;
+      return from + (1 - from) * progress(e.doorPhaseTime);
+    }
+    if (e.doorState === "closing") return 1 - progress(e.doorPhaseTime);
+    return 0;
+  },
+
+  _openDoors(e, phaseTime) {
+    e.doorState = "opening";
+    e.statusSince = this.clock.now();
+    e.doorPhaseTime = phaseTime;
+    e._doorFrom = 0;
+  },
+
+  // Hall call waiting at the car's floor while its doors are closing:
+  // take it (if it's ours or unassigned and we have room) so the doors reopen.
+  _claimHallCallAt(e) {
+    const r = this.pendingRequests.find(
+      (x) =>
+        x.origin === e.currentFloor &&
+        !x.pickupTime &&
+        (x.assignedTo === e.id ||
+          (!x.assignedTo && !isFull(e) && canServe(e, x)))
+    );
+    if (!r) return false;
+    r.assignedTo = e.id;
+    return true;
+  },
+
+  // Passenger reached the transfer floor: queue the hall call for the other zone.
+  _startSecondLeg(leg1) {
+    const r = {
+      id: uuidv4(),
+      timestamp: this.clock.now(),
+      type: "external",
+      origin: leg1.destination,
+      destination: leg1.finalDestination,
+      groupSize: leg1.groupSize,
+      weight: leg1.weight,
+      basePriority: 1,
+      priority: 1,
+      journeyId: leg1.journeyId,
+      leg: 2,
+      journeyStart: leg1.timestamp,
+      firstLeg: {
+        wait: leg1.pickupTime - leg1.timestamp,
+        travel: leg1.dropoffTime - leg1.pickupTime,
+      },
+    };
+    this._enqueue(r);
+  },
+
+  _completeJourney(leg2) {
+    const transferWait = leg2.pickupTime - leg2.timestamp;
+    this.completedJourneys.push({
+      id: leg2.journeyId,
+      groupSize: leg2.groupSize,
+      transferFloor: leg2.origin,
+      destination: leg2.destination,
+      wait: leg2.firstLeg.wait + transferWait,
+      transferWait,
+      travel: leg2.firstLeg.travel + (leg2.dropoffTime - leg2.pickupTime),
+      total: leg2.dropoffTime - leg2.journeyStart,
+    });
+  },
+
+  // Board/alight passengers at the car's current floor.
+  // Returns how many persons moved (used to extend the door dwell).
+  _exchangePassengers(e) {
+    let moved = 0;
+
+    for (const r of this.pendingRequests.slice()) {
+      // PICKUP: assigned to this elevator and waiting to be picked up at this floor
+      if (
+        r.assignedTo === e.id &&
+        r.origin === e.currentFloor &&
+        !r.pickupTime
+      ) {
+        // Board the group if it fits (persons and weight). If only part of it fits,
+        // that part boards as its own request and the rest keeps waiting.
+        const fit = personsThatFit(e, r);
+        if (fit > 0) {
+          this._board(e, fit < r.groupSize ? this._splitRequest(r, fit) : r);
+          moved += fit;
+        }
+
+        // Even empty this car couldn't take one of them: drop the request and
+        // its stops (also when locked) so a car that can is found instead
+        if (!r.pickupTime && !carriesPerson(e, r)) {
+          r.assignedTo = null;
+          r.locked = false;
+          this._dropStops(e, r);
+          continue;
+        }
+
+        // No (more) space: unassign the rest so it will be available for other elevators.
+        // Under destination dispatch the car was announced: locked passengers keep
+        // waiting for it (the strategy sends it back once there is room).
+        if (!r.pickupTime && !r.locked) {
+          r.assignedTo = null;
+          // r.priority = Math.max(1, (r.priority || 1) - 0.05);
+        }
+      }
+
+      // DROPOFF: passenger leaving
+      if (
+        r.assignedTo === e.id &&
+        r.destination === e.currentFloor &&
+        r.pickupTime &&
+        !r.dropoffTime
+      ) {
+        r.dropoffTime = this.clock.now();
+        // Decrement passenger count after dropoff
+        e.passengerCount = Math.max(0, e.passengerCount - r.groupSize);
+        e.load = Math.max(0, e.load - r.weight);
+        moved += r.groupSize;
+        this.servedRequests.push(r);
+        if (this.demand) this.demand.record(r);
+        // remove from pending - safe to mutate here since we're iterating over a slice
+        this.pendingRequests = this.pendingRequests.filter(
+          (x) => x.id !== r.id
+        );
+
+        if (r.leg === 1) this._startSecondLeg(r);
+        else if (r.leg === 2) this._completeJourney(r);
+      }
+    }
+
+    // this stop is served (also drops stops added while the doors were open)
+    const idx = e.targetFloors.indexOf(e.currentFloor);
+    if (idx !== -1) e.targetFloors.splice(idx, 1);
+
+    return moved;
+  },
+
+  _board(e, r) {
+    r.pickupTime = this.clock.now();
+    e.passengerCount += r.groupSize;
+    e.load += r.weight;
+
+    // hall call: destination is picked inside the car
+    if (r.destination == null) {
+      this._answerHallCall(e, r);
+      return;
+    }
+
+    // Ensure dropoff is scheduled (in case assignment missed it)
+    if (!e.targetFloors.includes(r.destination)) {
+      e.targetFloors.push(r.destination);
+    }
+  },
+
+  // Returns an error message when one person of the request is heavier than
+  // every car that serves its floors (or its origin, for cross-zone trips), or null.
+  _validateWeight(r) {
+    const servesTrip = (e) =>
+      servesFloor(e, r.origin) &&
+      (r.destination == null || servesFloor(e, r.destination));
+    const trip = this.elevators.filter(servesTrip);
+    const cars = trip.length
+      ? trip
+      : this.elevators.filter((e) => servesFloor(e, r.origin));
+    if (!cars.length || cars.some((e) => carriesPerson(e, r))) return null;
+    const perPerson = Math.round(r.weight / r.groupSize);
+    const maxLoad = Math.max(...cars.map((e) => e.ratedLoad));
+    return `A person of ${perPerson} kg exceeds the rated load of every elevator serving this trip (max ${maxLoad} kg).`;
+  },
+
+  // Returns an error message for an invalid hall call, or null.
+  // intendedDestination (optional) is the floor the passenger will pick on
+  // boarding, used by trace replay to reproduce the recorded choice.
+  _validateHallCall({ type, origin, direction, intendedDestination }) {
+    const nFloors = this.config.nFloors;
+    if (type !== "external") {
+      return "Internal requests need a destination.";
+    }
+    if (!["up", "down"].includes(direction)) {
+      return 'Hall calls need a direction ("up" or "down") when no destination is given.';
+    }
+    if (!Number.isInteger(origin) || origin < 1 || origin > nFloors) {
+      return `Origin must be a floor between 1 and ${nFloors}.`;
+    }
+    if (
+      (direction === "up" && origin === nFloors) ||
+      (direction === "down" && origin === 1)
+    ) {
+      return `Cannot call ${direction} from floor ${origin}.`;
+    }
+    if (
+      intendedDestination != null &&
+      (!Number.isInteger(intendedDestination) ||
+        intendedDestination < 1 ||
+        intendedDestination > nFloors ||
+        intendedDestination === origin)
+    ) {
+      return "intendedDestination must be a different floor of the building.";
+    }
+    return null;
+  },
+
+  // A hall call passenger boarded: they pick their floor inside the car, which
+  // is a follow-up internal request. It keeps the hall call's timestamp so wait
+  // is measured from the button press; the hall call itself is done.
+  _answerHallCall(e, hall) {
+    const destination = this._chooseHallCallDestination(e, hall);
+    const r = {
+      id: uuidv4(),
+      timestamp: hall.timestamp,
+      type: "internal",
+      origin: e.currentFloor,
+      destination,
+      groupSize: hall.groupSize,
+      weight: hall.weight,
+      basePriority: 1,
+      priority: 1,
+      assignedTo: e.id,
+      pickupTime: hall.pickupTime,
+      hallCallId: hall.id,
+      ...(hall.isMorningRush ? { isMorningRush: true } : {}),
+    };
+    hall.followUpId = r.id;
+    this.pendingRequests = this.pendingRequests.filter((x) => x.id !== hall.id);
+
+    if (!e.targetFloors.includes(destination)) e.targetFloors.push(destination);
+    this._enqueue(r);
+  },
+
+  // Intended floor if the car stops there, else a random served floor in the
+  // call's direction (any served floor if there is none that way).
+  _chooseHallCallDestination(e, hall) {
+    const floor = e.currentFloor;
+    if (
+      hall.intendedDestination != null &&
+      hall.intendedDestination !== floor &&
+      servesFloor(e, hall.intendedDestination)
+    ) {
+      return hall.intendedDestination;
+    }
+    const served = [];
+    for (let f = 1; f <= this.config.nFloors; f++) {
+      if (f !== floor && servesFloor(e, f)) served.push(f);
+    }
+    const ahead = served.filter((f) =>
+      hall.direction === "down" ? f < floor : f > floor
+    );
+    const candidates = ahead.length ? ahead : served;
+    return candidates[this.rng.int(0, candidates.length - 1)];
+  },
+
+  // Partial boarding: split `count` persons off a waiting group into their own
+  // request (same timestamp, so their wait is measured from the original call).
+  // A part split off a cross-zone journey goes on as a journey of its own.
+  _splitRequest(r, count) {
+    const perPerson = r.weight / r.groupSize;
+    const id = uuidv4();
+    const part = {
+      ...r,
+      id,
+      groupSize: count,
+      weight: perPerson * count,
+      splitFrom: r.id,
+      ...(r.journeyId ? { journeyId: id } : {}),
+    };
+    r.groupSize -= count;
+    r.weight -= part.weight;
+    this.pendingRequests.push(part);
+    this.lifecycle.split(part, this.clock.now());
+    return part;
+  },
+
+  // Physics model: move along a jerk-limited rest-to-rest trip (lib/kinematics.js).
+  // The trip is planned on departure; currentFloor follows the floors passed.
+  _advanceTrip(e, target, dt) {
+    if (!e._trip) {
+      const floors = target - e.currentFloor;
+      const crossings = floorCrossingTimes(
+        floors,
+        motionFor(this.config, e).physics
+      );
+      e._trip = {
+        from: e.currentFloor,
+        to: target,
+        elapsed: 0,
+        duration: crossings[crossings.length - 1],
+        crossings,
+      };
+    }
+
+    const trip = e._trip;
+    const step = trip.to > trip.from ? 1 : -1;
+    trip.elapsed += dt;
+    e.direction = step > 0 ? "up" : "down";
+
+    let passed = 0;
+    while (
+      passed < trip.crossings.length &&
+      trip.crossings[passed] <= trip.elapsed
+    ) {
+      passed++;
+    }
+    e.currentFloor = trip.from + step * passed;
+
+    if (passed === trip.crossings.length) {
+      // arrived: make this floor the next stop even if targets were reordered meanwhile
+      e._trip = null;
+      const idx = e.targetFloors.indexOf(trip.to);
+      if (idx > 0) {
+        e.targetFloors.splice(idx, 1);
+        e.targetFloors.unshift(trip.to);
+      }
+    }
+    e.statusSince = this.clock.now();
+  },
+
   _tick(realDt) {
     this.clock.advance(realDt);
+    if (this.demand) this.demand.observe(this.clock.now());
+    if (this.replay) this.replay.step();
+    if (this.scenarioRuns.length) {
+      for (const { run } of this.scenarioRuns) run.step();
+      this.scenarioRuns = this.scenarioRuns.filter((s) => !s.run.status().done);
+    }
     const simDt = realDt * this.clock.speed;
+    if (this.requestSpawner) this.requestSpawner.step(simDt);
 
-    for (const e of this.elevators) this._processElevatorMovement(e, simDt);
+    for (const e of this.elevators) {
+      const floorBefore = e.currentFloor;
+      this._processElevatorMovement(e, simDt);
+      meterTravel(this.config.energy, e, e.currentFloor - floorBefore);
+    }
 
     try {
       if (this.scheduler && typeof this.scheduler.assign === "function") {
@@ -495,10 +1455,16 @@ const sim = {
     } catch (err) {
       console.error(`Error in function _tick: ${err}`);
     }
+    if (this.parking) this.parking.step();
 
-    // update utilTime per-elevator
+    // update utilTime per-elevator (parking moves are tracked apart in repositionTime)
     for (const e of this.elevators) {
-      e.utilTime = (e.utilTime || 0) + (e.passengerCount > 0 ? simDt : 0);
+      e.utilTime =
+        (e.utilTime || 0) + (e.passengerCount > 0 && !e.fault ? simDt : 0);
+      if (e._rebalanceTarget != null && !e.fault) {
+        e.repositionTime = (e.repositionTime || 0) + simDt;
+      }
+      meterStandby(this.config.energy, e, simDt);
     }
 
     // --- Sampling for recent utilization & throughput ---
@@ -527,19 +1493,24 @@ const sim = {
       console.warn("[sim] util sampling error", e);
     }
 
+    this.lifecycle.sync(this.clock.now());
+    if (this.recorder) this.recorder.flush();
+    if (this.history) {
+      this.history.sample(this.clock.now(), () => this.metricsSnapshot());
+      this.history.flush();
+    }
+
     this.broadcast(); // Send to FE
   },
 
   broadcast() {
+    if (!this.wss) return;
     const payload = JSON.stringify({ type: "snapshot", data: this.snapshot() });
-    if (!_wss) return;
-    _wss.clients.forEach((c) => {
+    this.wss.clients.forEach((c) => {
       // Here readyState = 1, indicates that connection is opne
       // & ready for comms
       // if (c.readyState === 1) console.log({ payload });
-      if (c.readyState === 1) c.send(payload);
+      if (c.readyState === 1 && c.simId === this.id) c.send(payload);
     });
   },
-};
-
-export const getSimulationService = () => sim;
+});
@@ -0,0 +1,122 @@
+// Percentiles and histograms of served-request times, as used in lift SLAs
+// ("95% of passengers wait less than 30s"). Times are in sim-ms:
+//   wait    - call to pickup
+//   travel  - pickup to dropoff
+//   journey - call to dropoff
+// Every served request (or split part of a group) counts once.
+
+export const PERCENTILES = [50, 90, 95, 99];
+
+// Histogram bucket upper bounds (sim-ms); the last bucket (le: null) is everything above
+export const HISTOGRAM_BOUNDS_MS = [
+  5000, 10000, 20000, 30000, 45000, 60000, 90000, 120000, 180000,
+];
+
+export const LONG_WAIT_MS = 60 * 1000;
+
+export const waitOf = (r) => (r.pickupTime || r.servedAt) - r.timestamp;
+export const travelOf = (r) =>
+  (r.dropoffTime || r.completedAt) - (r.pickupTime || r.servedAt);
+export const journeyOf = (r) => (r.dropoffTime || r.completedAt) - r.timestamp;
+
+// Nearest-rank percentile of an ascending array
+export const percentile = (sorted, p) => {
+  if (!sorted.length) return 0;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+};
+
+// Counts per bucket (not cumulative): [{ le, count }], le null = above the last bound
+export const histogram = (values, bounds = HISTOGRAM_BOUNDS_MS) => {
+  const counts = new Array(bounds.length + 1).fill(0);
+  for (const v of values) {
+    const i = bounds.findIndex((b) => v <= b);
+    counts[i === -1 ? bounds.length : i]++;
+  }
+  return counts.map((count, i) => ({ le: bounds[i] ?? null, count }));
+};
+
+/**
+ * summarize(values)
+ * { count, avg, max, p50, p90, p95, p99, histogram } of a list of times.
+ */
+export const summarize = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const summary = {
+    count: sorted.length,
+    avg: sorted.length ? sorted.reduce((a, v) => a + v, 0) / sorted.length : 0,
+    max: sorted.length ? sorted[sorted.length - 1] : 0,
+  };
+  for (const p of PERCENTILES) summary[`p${p}`] = percentile(sorted, p);
+  summary.histogram = histogram(sorted);
+  return summary;
+};
+
+const describe = (requests, longWaitMs) => {
+  const waits = requests.map(waitOf);
+  return {
+    count: requests.length,
+    wait: summarize(waits),
+    travel: summarize(requests.map(travelOf)),
+    journey: summarize(requests.map(journeyOf)),
+    longWaits: waits.filter((w) => w > longWaitMs).length,
+  };
+};
+
+const groupBy = (requests, keyOf) => {
+  const groups = new Map();
+  for (const r of requests) {
+    const key = keyOf(r);
+    if (key == null) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+  return groups;
+};
+
+/**
+ * timeDistribution(served, pending, { now, longWaitMs })
+ * Overall wait/travel/journey summaries plus the same per origin floor,
+ * per direction of travel and per elevator (the car that dropped them off).
+ */
+export const timeDistribution = (
+  served,
+  pending,
+  { now, longWaitMs = LONG_WAIT_MS }
+) => {
+  const breakdown = (keyOf, sortKeys = (a, b) => a - b) => {
+    const groups = groupBy(served, keyOf);
+    const out = {};
+    for (const key of [...groups.keys()].sort(sortKeys)) {
+      out[key] = describe(groups.get(key), longWaitMs);
+    }
+    return out;
+  };
+
+  return {
+    longWaitMs,
+    percentiles: PERCENTILES,
+    histogramBounds: HISTOGRAM_BOUNDS_MS,
+    overall: {
+      ...describe(served, longWaitMs),
+      // still waiting (not picked up yet) for longer than longWaitMs
+      longWaitsPending: pending.filter(
+        (r) => !r.pickupTime && now - r.timestamp > longWaitMs
+      ).length,
+    },
+    byFloor: breakdown((r) => r.origin),
+    byDirection: breakdown(
+      (r) =>
+        r.origin == null || r.destination == null
+          ? null
+          : r.destination > r.origin
+          ? "up"
+          : "down",
+      (a, b) => (a < b ? 1 : -1) // up, down
+    ),
+    byElevator: breakdown(
+      (r) => r.assignedTo,
+      (a, b) => String(a).localeCompare(String(b), undefined, { numeric: true })
+    ),
+  };
+};
@@ -0,0 +1,93 @@
+import {
+  assignRequest,
+  byUrgency,
+  canServe,
+  etaTo,
+  hasRoomFor,
+  inServiceElevators,
+} from "./strategy-utils.js";
+
+// Destination dispatch: passengers enter their destination at the hall panel
+// and are told right away which car to take (assignNow). Passengers going to
+// the same or neighbouring floors are grouped into the same car to cut stops.
+// Assignments are locked: no strategy or door logic moves them to another car
+// (only a car fault or an operator can, see sim.injectFault / sim.reassignRequest).
+
+const STOP_COST = 10_000; // sim-ms: every extra stop delays everyone on board
+const GROUP_BONUS = 8_000; // sim-ms per matching passenger already in the group
+const MAX_GROUP_BONUS = 3; // cap so groups don't grow past what's sensible
+const OPPOSITE_PENALTY = 60_000; // car already picking up here for the other direction
+
+// hall calls (up/down button, no destination yet) only know their direction
+const directionOf = (r) =>
+  r.destination == null
+    ? r.direction || null
+    : r.destination > r.origin
+    ? "up"
+    : r.destination < r.origin
+    ? "down"
+    : null;
+
+const dispatchCost = (sim, e, r) => {
+  let cost = etaTo(sim, e, r.origin);
+
+  if (!e.targetFloors.includes(r.origin)) cost += STOP_COST;
+  if (r.destination != null && !e.targetFloors.includes(r.destination)) {
+    cost += STOP_COST;
+  }
+
+  let group = 0;
+  let opposite = false;
+  for (const x of sim.pendingRequests) {
+    if (x.assignedTo !== e.id || x.pickupTime || x.origin !== r.origin) {
+      continue;
+    }
+    if (directionOf(x) !== directionOf(r)) opposite = true;
+    else if (
+      x.destination != null &&
+      r.destination != null &&
+      Math.abs(x.destination - r.destination) <= 1
+    ) {
+      group++;
+    }
+  }
+
+  cost -= Math.min(group, MAX_GROUP_BONUS) * GROUP_BONUS;
+  if (opposite) cost += OPPOSITE_PENALTY;
+  return cost;
+};
+
+export const createDestinationDispatchStrategy = (sim) => {
+  // Returns the chosen car, or null when no car can take it now
+  // (it then stays queued and assign() retries on the next tick).
+  const assignNow = (r) => {
+    if (r.assignedTo) return null;
+
+    let best = null;
+    let bestCost = Infinity;
+    for (const e of inServiceElevators(sim)) {
+      if (!hasRoomFor(sim, e) || !canServe(e, r)) continue;
+      const cost = dispatchCost(sim, e, r);
+      if (cost < bestCost) {
+        best = e;
+        bestCost = cost;
+      }
+    }
+
+    if (!best) return null;
+    assignRequest(best, r);
+    r.locked = true;
+    return best;
+  };
+
+  const assign = () => {
+    const queued = sim.pendingRequests
+      .filter((r) => !r.assignedTo)
+      .sort(byUrgency);
+    for (const r of queued) assignNow(r);
+    // passengers a full car had to leave behind are sent back for by the
+    // scheduler (returnForLocked in scheduler-service.js)
+  };
+
+  return { assign, assignNow };
+};
@@ -0,0 +1,46 @@
+import { createDestinationDispatchStrategy } from "./destination-dispatch-strategy.js";
+import { createHybridStrategy } from "./hybrid-strategy.js";
+import { createLookStrategy } from "./look-strategy.js";
+import { createNearestCarStrategy } from "./nearest-car-strategy.js";
+import { createRoundRobinStrategy } from "./round-robin-strategy.js";
+
+// Registry of available scheduling strategies.
+// Each entry's `create(sim)` must return an object exposing `assign()`;
+// `assignNow(request)` is optional and makes the sim assign new hall calls
+// immediately (destination dispatch).
+const strategies = {
+  hybrid: {
+    description:
+      "Greedy global matching of idle cars by score + directional batching for busy cars (default).",
+    create: createHybridStrategy,
+  },
+  nearestCar: {
+    description: "Each request goes to the car with the lowest ETA.",
+    create: createNearestCarStrategy,
+  },
+  look: {
+    description:
+      "SCAN/LOOK: cars sweep in one direction and pick up requests on the way.",
+    create: createLookStrategy,
+  },
+  roundRobin: {
+    description: "Requests are handed out to cars in turn.",
+    create: createRoundRobinStrategy,
+  },
+  destination: {
+    description:
+      "Destination dispatch: car announced on request, passengers grouped by destination, assignment never changes.",
+    create: createDestinationDispatchStrategy,
+  },
+};
+
+export const getStrategy = (name) =>
+  Object.prototype.hasOwnProperty.call(strategies, name)
+    ? strategies[name]
+    : null;
+
+export const listStrategies = () =>
+  Object.entries(strategies).map(([name, s]) => ({
+    name,
+    description: s.description,
+  }));
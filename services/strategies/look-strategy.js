@@ -0,0 +1,79 @@
+import {
+  assignRequest,
+  byUrgency,
+  canServe,
+  hasRoomFor,
+  inServiceElevators,
+  pickupFloorOf,
+} from "./strategy-utils.js";
+
+// SCAN/LOOK: each elevator sweeps in one direction, stopping at every target
+// on the way, and only reverses once nothing is left ahead of it (LOOK, i.e.
+// SCAN without running to the terminal floors).
+// A request goes to a car that will pass its pickup floor in the current sweep;
+// otherwise to the closest idle car. Target lists are kept in sweep order.
+
+const sweepOrder = (elevator) => {
+  const cur = elevator.currentFloor;
+  const floors = Array.from(new Set(elevator.targetFloors));
+  const dir =
+    elevator.direction !== "idle"
+      ? elevator.direction
+      : floors.length && floors[0] < cur
+      ? "down"
+      : "up";
+
+  const above = floors.filter((f) => f >= cur).sort((a, b) => a - b);
+  const below = floors.filter((f) => f < cur).sort((a, b) => b - a);
+  return dir === "up" ? [...above, ...below] : [...below, ...above];
+};
+
+const isAhead = (elevator, floor) => {
+  if (elevator.direction === "up") return floor >= elevator.currentFloor;
+  if (elevator.direction === "down") return floor <= elevator.currentFloor;
+  return false;
+};
+
+export const createLookStrategy = (sim) => {
+  const assign = () => {
+    const unassignedRequests = sim.pendingRequests
+      .filter((r) => !r.assignedTo)
+      .sort(byUrgency);
+
+    for (const r of unassignedRequests) {
+      const pickup = pickupFloorOf(r);
+      const reqDirection =
+        r.destination != null && r.origin != null
+          ? r.destination > r.origin
+            ? "up"
+            : "down"
+          : r.direction;
+
+      let best = null;
+      let bestDistance = Infinity;
+
+      for (const e of inServiceElevators(sim)) {
+        if (!hasRoomFor(sim, e) || !canServe(e, r)) continue;
+
+        const busy = e.targetFloors.length > 0;
+        const onTheWay =
+          busy && e.direction === reqDirection && isAhead(e, pickup);
+        if (busy && !onTheWay) continue;
+
+        const distance = Math.abs(e.currentFloor - pickup);
+        if (distance < bestDistance) {
+          best = e;
+          bestDistance = distance;
+        }
+      }
+
+      if (best) assignRequest(best, r);
+    }
+
+    for (const e of sim.elevators) {
+      if (e.targetFloors.length > 1) e.targetFloors = sweepOrder(e);
+    }
+  };
+
+  return { assign };
+};
@@ -0,0 +1,40 @@
+import {
+  assignRequest,
+  byUrgency,
+  canServe,
+  etaTo,
+  hasRoomFor,
+  inServiceElevators,
+  pickupFloorOf,
+} from "./strategy-utils.js";
+
+// Nearest car: every unassigned request goes to the elevator with the lowest
+// ETA to its pickup floor, regardless of direction or current load (as long
+// as it still has room). Requests are handled oldest-first.
+
+export const createNearestCarStrategy = (sim) => {
+  const assign = () => {
+    const unassignedRequests = sim.pendingRequests
+      .filter((r) => !r.assignedTo)
+      .sort(byUrgency);
+
+    for (const r of unassignedRequests) {
+      const pickup = pickupFloorOf(r);
+      let best = null;
+      let bestEta = Infinity;
+
+      for (const e of inServiceElevators(sim)) {
+        if (!hasRoomFor(sim, e) || !canServe(e, r)) continue;
+        const eta = etaTo(sim, e, pickup);
+        if (eta < bestEta) {
+          best = e;
+          bestEta = eta;
+        }
+      }
+
+      if (best) assignRequest(best, r);
+    }
+  };
+
+  return { assign };
+};
@@ -0,0 +1,36 @@
+import {
+  assignRequest,
+  byUrgency,
+  canServe,
+  hasRoomFor,
+  inServiceElevators,
+} from "./strategy-utils.js";
+
+// Round robin: requests are handed out to elevators in turn, ignoring their
+// position. Mostly useful as a baseline when comparing the other strategies.
+
+export const createRoundRobinStrategy = (sim) => {
+  let nextIndex = 0;
+
+  const assign = () => {
+    const unassignedRequests = sim.pendingRequests
+      .filter((r) => !r.assignedTo)
+      .sort(byUrgency);
+
+    const elevators = inServiceElevators(sim);
+
+    for (const r of unassignedRequests) {
+      const n = elevators.length;
+      // try every elevator once, starting from the one whose turn it is
+      for (let i = 0; i < n; i++) {
+        const e = elevators[(nextIndex + i) % n];
+        if (!hasRoomFor(sim, e) || !canServe(e, r)) continue;
+        assignRequest(e, r);
+        nextIndex = (nextIndex + i + 1) % n;
+        break;
+      }
+    }
+  };
+
+  return { assign };
+};
@@ -0,0 +1,54 @@
+import { estimateETA, motionFor, stopDuration } from "../constants.js";
+import { canServe, isFull } from "../../models/elevator-model.js";
+
+// Shared helpers used by the scheduling strategies
+
+export { canServe, isFull };
+
+// ETA of a car to a floor, with the car's own speed and the building's stop time
+export const etaTo = (sim, elevator, floor) => {
+  const { timePerFloor, physics } = motionFor(sim.config, elevator);
+  return estimateETA(
+    elevator,
+    floor,
+    timePerFloor,
+    stopDuration(sim.config),
+    physics
+  );
+};
+
+// Cars the scheduler may assign to (faulted cars are skipped)
+export const inServiceElevators = (sim) =>
+  sim.elevators.filter((e) => !e.fault);
+
+// Number of persons an elevator will be carrying once every request already
+// assigned to it (but not yet picked up) has boarded.
+export const projectedLoad = (sim, elevator) => {
+  const alreadyAssignedPending = sim.pendingRequests
+    .filter((x) => x.assignedTo === elevator.id && !x.pickupTime)
+    .reduce((n, x) => n + (x.groupSize || 1), 0);
+  return (elevator.passengerCount || 0) + alreadyAssignedPending;
+};
+
+export const hasRoomFor = (sim, elevator) =>
+  !isFull(elevator) && projectedLoad(sim, elevator) < elevator.capacity;
+
+// Mark request as assigned and schedule its pickup (and dropoff) stops.
+export const assignRequest = (elevator, request) => {
+  request.assignedTo = elevator.id;
+  if (request.origin != null) elevator.targetFloors.push(request.origin);
+  if (request.destination != null)
+    elevator.targetFloors.push(request.destination);
+  elevator.targetFloors = Array.from(new Set(elevator.targetFloors));
+};
+
+export const pickupFloorOf = (request) =>
+  request.origin != null ? request.origin : request.destination;
+
+// Oldest (and escalated) requests first
+export const byUrgency = (a, b) => {
+  const ea = a.escalated ? 1 : 0;
+  const eb = b.escalated ? 1 : 0;
+  if (ea !== eb) return eb - ea;
+  return (a.timestamp || 0) - (b.timestamp || 0);
+};
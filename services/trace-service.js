@@ -0,0 +1,122 @@
+import {
+  createRunFile,
+  DEFAULT_MAX_FILES,
+  listRunFiles,
+} from "../lib/run-file.js";
+
+// Trace recorder: append-only JSONL log of request lifecycle events for one run.
+// One line per event, each carrying the request's fields at that moment:
+//   {"event":"created","at":0,"id":"..","timestamp":0,"type":"external","origin":1,"destination":7,...}
+//   {"event":"assigned","at":200,...,"assignedTo":"2"}
+//   {"event":"pickedUp","at":4200,...,"pickupTime":4200}
+//   {"event":"droppedOff","at":11200,...,"dropoffTime":11200}
+//   {"event":"cancelled","at":900,...} (withdrawn before pickup, replay leaves it out)
+//   {"event":"evacuated","at":9000,...,"followUpId":".."} (left a car whose doors stuck open)
+// The events are the request lifecycle's (lifecycle-service.js), which finds
+// them once per tick; the recorder only writes them out.
+// "created" lines have the replay format, so a downloaded trace can be fed
+// straight back into replay (other events are skipped there).
+// Lines are written in batches (lib/run-file.js); TRACE_DIR keeps the newest
+// TRACE_MAX_FILES traces.
+// Recording is opt-in: sims created with record: true, or all with RECORD_RUNS=true.
+
+const TRACE_DIR = process.env.TRACE_DIR || "traces";
+const TRACE_MAX_FILES =
+  Number(process.env.TRACE_MAX_FILES) || DEFAULT_MAX_FILES;
+
+const toRecord = (event, r, at) => ({
+  event,
+  at,
+  id: r.id,
+  timestamp: r.timestamp,
+  type: r.type,
+  origin: r.origin,
+  destination: r.destination,
+  groupSize: r.groupSize,
+  weight: r.weight,
+  // hall calls have no destination; the floor picked on boarding is a follow-up
+  // internal request linked by hallCallId (replay uses it as intendedDestination)
+  ...(r.direction ? { direction: r.direction } : {}),
+  ...(r.hallCallId ? { hallCallId: r.hallCallId } : {}),
+  ...(r.followUpId ? { followUpId: r.followUpId } : {}),
+  // partial boarding: the boarded part of a group gets its own id
+  ...(r.splitFrom ? { splitFrom: r.splitFrom } : {}),
+  // passengers that got out of a car with a door fault (faults aren't replayed)
+  ...(r.evacuatedFrom ? { evacuatedFrom: r.evacuatedFrom } : {}),
+  // internal requests made from inside a car: keep the car so replay can re-create them
+  ...(r.type === "internal" && r.pickupTime === r.timestamp && r.assignedTo
+    ? { elevatorId: r.assignedTo }
+    : {}),
+  // cross-zone journeys (zone-service.js): replay only re-creates leg 1 with the final destination
+  ...(r.journeyId
+    ? {
+        journeyId: r.journeyId,
+        leg: r.leg,
+        ...(r.finalDestination != null
+          ? { finalDestination: r.finalDestination }
+          : {}),
+      }
+    : {}),
+  assignedTo: r.assignedTo ?? null,
+  pickupTime: r.pickupTime ?? null,
+  dropoffTime: r.dropoffTime ?? null,
+});
+
+export const createTraceRecorder = ({
+  simId = "default",
+  dir = TRACE_DIR,
+  maxFiles = TRACE_MAX_FILES,
+} = {}) => {
+  const file = createRunFile({ simId, dir, maxFiles, label: "trace" });
+  const { runId, fileName, filePath, runStartedAt } = file;
+
+  let count = 0;
+
+  return {
+    runId,
+    fileName,
+    filePath,
+    runStartedAt,
+
+    // lifecycle listener (lifecycle-service.js): one line per request event
+    record({ event, at, into }, request) {
+      if (event === "escalated") return;
+      // the waiting rest of a split group; the part's own line has splitFrom
+      if (event === "split" && into) return;
+      file.push(JSON.stringify(toRecord(event, request, at)));
+      count++;
+    },
+
+    // see lib/run-file.js: flush() writes in the background, drain() waits for it
+    flush(options) {
+      file.flush(options);
+    },
+
+    drain() {
+      return file.drain();
+    },
+
+    status() {
+      return {
+        runId,
+        fileName,
+        runStartedAt,
+        events: count,
+      };
+    },
+
+    exists() {
+      return file.exists();
+    },
+  };
+};
+
+// Recorded traces of one sim (also from earlier runs and before a restart), newest first
+export const listTraces = (simId, dir = TRACE_DIR) =>
+  listRunFiles(dir, simId).map(({ runId, file, size, updatedAt }) => ({
+    runId,
+    fileName: `${runId}.jsonl`,
+    filePath: file,
+    size,
+    updatedAt,
+  }));
@@ -0,0 +1,260 @@
+// Continuous background traffic: passengers arrive as a Poisson process whose
+// rate follows a 24h profile (sim-time 0 = midnight). Every arrival picks an
+// origin/destination pair from the pattern of the current profile segment, or
+// from an origin-destination matrix when one is given.
+//
+// options = {
+//   profile: "office" | "flat" | [{ from: "07:30", to: "09:30", rate, pattern?, matrix? }],
+//   rate,    // arrivals/min for the "flat" profile (and segments without a rate)
+//   scale,   // multiplier on every rate, e.g. for bigger buildings
+//   matrix,  // nFloors x nFloors weights, matrix[o-1][d-1] = weight of o -> d
+// }
+// Patterns: upPeak (from the lobby), downPeak (to the lobby), lunch (both), interfloor.
+// Stepped by sim._tick on the sim clock, so it pauses with the sim and is
+// reproducible with a seed.
+
+const TRAFFIC_PATTERNS = ["upPeak", "downPeak", "lunch", "interfloor"];
+
+// Typical office day (arrivals/min for a ~12 floor building)
+const OFFICE_PROFILE = [
+  { from: "00:00", to: "07:00", rate: 0.1, pattern: "interfloor" },
+  { from: "07:00", to: "07:30", rate: 2, pattern: "upPeak" },
+  { from: "07:30", to: "09:30", rate: 6, pattern: "upPeak" },
+  { from: "09:30", to: "11:45", rate: 1.5, pattern: "interfloor" },
+  { from: "11:45", to: "13:30", rate: 4, pattern: "lunch" },
+  { from: "13:30", to: "16:30", rate: 1.5, pattern: "interfloor" },
+  { from: "16:30", to: "18:30", rate: 6, pattern: "downPeak" },
+  { from: "18:30", to: "20:00", rate: 1, pattern: "interfloor" },
+  { from: "20:00", to: "24:00", rate: 0.1, pattern: "interfloor" },
+];
+
+// Share of each flow per pattern: [from lobby, to lobby, between other floors]
+const PATTERN_MIX = {
+  upPeak: [0.85, 0.05, 0.1],
+  downPeak: [0.05, 0.85, 0.1],
+  lunch: [0.4, 0.4, 0.2],
+  interfloor: [0.1, 0.1, 0.8],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RATE = 600; // arrivals/min, keeps a typo from flooding the sim
+const POISSON_CHUNK = 20; // largest mean sampled in one go, see poisson()
+
+// "HH:MM" -> ms since midnight
+const parseClock = (value) => {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(value));
+  if (!m || Number(m[1]) > 24 || Number(m[2]) > 59) return null;
+  const ms = (Number(m[1]) * 60 + Number(m[2])) * 60_000;
+  return ms <= DAY_MS ? ms : null;
+};
+
+const validateMatrix = (matrix, nFloors, where) => {
+  if (
+    !Array.isArray(matrix) ||
+    matrix.length !== nFloors ||
+    matrix.some(
+      (row) =>
+        !Array.isArray(row) ||
+        row.length !== nFloors ||
+        row.some((w) => !Number.isFinite(w) || w < 0)
+    )
+  ) {
+    throw new Error(
+      `${where} must be a ${nFloors}x${nFloors} array of non-negative weights.`
+    );
+  }
+  if (!matrix.some((row, o) => row.some((w, d) => w > 0 && o !== d))) {
+    throw new Error(`${where} has no trips between different floors.`);
+  }
+};
+
+/**
+ * normalizeTraffic(options, nFloors)
+ * Validates options and resolves the profile into sorted segments
+ * { from, to (ms of day), rate, pattern, matrix }. Throws on invalid options.
+ */
+export const normalizeTraffic = (options = {}, nFloors) => {
+  const { profile = "office", rate = 2, scale = 1, matrix = null } = options;
+  if (!Number.isFinite(rate) || rate < 0 || rate > MAX_RATE) {
+    throw new Error(`rate must be between 0 and ${MAX_RATE} arrivals/min.`);
+  }
+  if (!Number.isFinite(scale) || scale < 0) {
+    throw new Error("scale must be a non-negative number.");
+  }
+  if (matrix != null) validateMatrix(matrix, nFloors, "matrix");
+
+  let raw;
+  if (profile === "office") raw = OFFICE_PROFILE;
+  else if (profile === "flat") raw = [{ from: "00:00", to: "24:00", rate }];
+  else if (Array.isArray(profile) && profile.length) raw = profile;
+  else {
+    throw new Error(
+      'profile must be "office", "flat" or an array of { from, to, rate, pattern } segments.'
+    );
+  }
+
+  const segments = raw.map((s, i) => {
+    const from = parseClock(s.from);
+    const to = parseClock(s.to);
+    if (from == null || to == null || to <= from) {
+      throw new Error(
+        `profile[${i}]: from/to must be "HH:MM" times with from < to.`
+      );
+    }
+    const segRate = s.rate != null ? s.rate : rate;
+    if (!Number.isFinite(segRate) || segRate < 0 || segRate > MAX_RATE) {
+      throw new Error(
+        `profile[${i}]: rate must be between 0 and ${MAX_RATE} arrivals/min.`
+      );
+    }
+    if (segRate * scale > MAX_RATE) {
+      throw new Error(
+        `profile[${i}]: rate ${segRate} x scale ${scale} exceeds ${MAX_RATE} arrivals/min.`
+      );
+    }
+    const pattern = s.pattern || "interfloor";
+    if (!TRAFFIC_PATTERNS.includes(pattern)) {
+      throw new Error(
+        `profile[${i}]: unknown pattern "${pattern}". Allowed: ${TRAFFIC_PATTERNS.join(
+          ", "
+        )}.`
+      );
+    }
+    if (s.matrix != null) {
+      validateMatrix(s.matrix, nFloors, `profile[${i}].matrix`);
+    }
+    return {
+      from,
+      to,
+      rate: segRate * scale,
+      pattern,
+      matrix: s.matrix || matrix,
+    };
+  });
+  segments.sort((a, b) => a.from - b.from);
+  for (let i = 1; i < segments.length; i++) {
+    if (segments[i].from < segments[i - 1].to) {
+      throw new Error("profile segments must not overlap.");
+    }
+  }
+
+  return {
+    profile: Array.isArray(profile) ? "custom" : profile,
+    scale,
+    segments,
+  };
+};
+
+export const createTrafficGenerator = (sim, { profile, scale, segments }) => {
+  const startedAt = sim.clock.now();
+  let spawned = 0;
+  let rejected = 0;
+
+  // segment active at sim-time t (null between segments: no traffic)
+  const segmentAt = (t) => {
+    const ms = t % DAY_MS;
+    return segments.find((s) => ms >= s.from && ms < s.to) || null;
+  };
+
+  // Poisson-distributed count with the given mean (Knuth). Knuth needs about
+  // `mean` draws and exp(-mean) underflows for large means (high rates at high
+  // sim speed), so those are summed from chunks: a sum of Poisson counts is Poisson.
+  const knuth = (mean) => {
+    const limit = Math.exp(-mean);
+    let k = 0;
+    let p = sim.rng.next();
+    while (p > limit) {
+      k++;
+      p *= sim.rng.next();
+    }
+    return k;
+  };
+  const poisson = (mean) => {
+    let k = 0;
+    let rest = mean;
+    while (rest > POISSON_CHUNK) {
+      k += knuth(POISSON_CHUNK);
+      rest -= POISSON_CHUNK;
+    }
+    return k + knuth(rest);
+  };
+
+  const pickWeighted = (weights) => {
+    const total = weights.reduce((a, w) => a + w, 0);
+    let x = sim.rng.next() * total;
+    for (let i = 0; i < weights.length; i++) {
+      x -= weights[i];
+      if (x < 0) return i;
+    }
+    return weights.length - 1;
+  };
+
+  const randomFloorExcept = (...exclude) => {
+    const floors = [];
+    for (let f = 1; f <= sim.config.nFloors; f++) {
+      if (!exclude.includes(f)) floors.push(f);
+    }
+    return floors[sim.rng.int(0, floors.length - 1)];
+  };
+
+  const pickTrip = (segment) => {
+    if (segment.matrix) {
+      const flat = segment.matrix.flatMap((row, o) =>
+        row.map((w, d) => (o === d ? 0 : w))
+      );
+      const i = pickWeighted(flat);
+      const n = sim.config.nFloors;
+      return { origin: Math.floor(i / n) + 1, destination: (i % n) + 1 };
+    }
+    const lobby = sim.config.lobbyFloor || 1;
+    let flow = pickWeighted(PATTERN_MIX[segment.pattern]);
+    if (flow === 2 && sim.config.nFloors < 3) flow = 0; // no other floors to travel between
+    if (flow === 0) {
+      return { origin: lobby, destination: randomFloorExcept(lobby) };
+    }
+    if (flow === 1) {
+      return { origin: randomFloorExcept(lobby), destination: lobby };
+    }
+    const origin = randomFloorExcept(lobby);
+    return { origin, destination: randomFloorExcept(lobby, origin) };
+  };
+
+  return {
+    // spawn the arrivals of the last `dt` sim-ms
+    step(dt) {
+      const segment = segmentAt(sim.clock.now());
+      if (!segment || segment.rate <= 0 || dt <= 0) return;
+
+      const count = poisson((segment.rate * dt) / 60_000);
+      for (let i = 0; i < count; i++) {
+        const res = sim.addManualRequest({
+          type: "external",
+          ...pickTrip(segment),
+        });
+        if (res.ok) spawned++;
+        else rejected++;
+      }
+    },
+
+    status() {
+      const segment = segmentAt(sim.clock.now());
+      return {
+        profile,
+        scale,
+        startedAt,
+        spawned,
+        rejected,
+        current: segment
+          ? { rate: segment.rate, pattern: segment.pattern }
+          : { rate: 0, pattern: null },
+        segments: segments.map((s) => ({
+          from: s.from,
+          to: s.to,
+          rate: s.rate,
+          pattern: s.pattern,
+          matrix: !!s.matrix,
+        })),
+      };
+    },
+  };
+};
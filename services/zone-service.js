@@ -0,0 +1,113 @@
+import { canServe } from "../models/elevator-model.js";
+
+// Zoned buildings: each zone is a group of cars with its own floor range,
+// e.g. low-rise 1-20, high-rise 20-40 with a sky lobby at 20.
+//
+// config.zones = [{ name, from, to, floors?, elevators: [carIds] }]
+//   `floors` (explicit list) wins over the from..to range.
+// config.transferFloors = floors where passengers change zone
+//   (default: lobby when zones are set; also usable with plain servedFloors)
+//
+// Zones only set each car's served floors; routing is generic: a request no
+// single car can serve becomes a two-leg journey via a transfer floor.
+
+const zoneFloors = (zone, nFloors) => {
+  const floors = Array.isArray(zone.floors)
+    ? zone.floors
+    : Array.from(
+        { length: Math.max(0, (zone.to ?? 0) - (zone.from ?? 0) + 1) },
+        (_, i) => zone.from + i
+      );
+  if (
+    floors.length < 2 ||
+    floors.some((f) => !Number.isInteger(f) || f < 1 || f > nFloors)
+  ) {
+    throw new Error(
+      `Zone "${zone.name}" must cover at least two floors between 1 and ${nFloors}.`
+    );
+  }
+  return floors;
+};
+
+/**
+ * applyZones(config)
+ * Returns per-car settings (config.elevators with zone floors/labels filled in)
+ * and the validated transfer floors. Throws on invalid zone definitions.
+ */
+export const applyZones = (config) => {
+  const { zones, nElevators, nFloors } = config;
+  const elevators = Array.from({ length: nElevators }, (_, i) => ({
+    ...((config.elevators || [])[i] || {}),
+  }));
+
+  const transferFloors =
+    config.transferFloors != null
+      ? config.transferFloors
+      : zones != null
+      ? [config.lobbyFloor || 1]
+      : [];
+  if (
+    !Array.isArray(transferFloors) ||
+    transferFloors.some((f) => !Number.isInteger(f) || f < 1 || f > nFloors)
+  ) {
+    throw new Error(
+      `transferFloors must be an array of floors between 1 and ${nFloors}.`
+    );
+  }
+
+  if (zones == null) return { elevators, transferFloors };
+  if (!Array.isArray(zones)) {
+    throw new Error("'zones' must be an array of zone definitions.");
+  }
+
+  const zoned = new Set();
+  zones.forEach((zone, zi) => {
+    const name = zone.name || `Zone ${zi + 1}`;
+    const floors = zoneFloors({ ...zone, name }, nFloors);
+    if (!Array.isArray(zone.elevators) || !zone.elevators.length) {
+      throw new Error(`Zone "${name}" needs at least one elevator.`);
+    }
+
+    for (const id of zone.elevators) {
+      const idx = Number(id) - 1;
+      if (!Number.isInteger(idx) || idx < 0 || idx >= nElevators) {
+        throw new Error(`Zone "${name}": elevator ${id} does not exist.`);
+      }
+      if (zoned.has(idx)) {
+        throw new Error(`Elevator ${id} is assigned to more than one zone.`);
+      }
+      zoned.add(idx);
+      elevators[idx] = {
+        ...elevators[idx],
+        servedFloors: elevators[idx].servedFloors || floors,
+        label: elevators[idx].label || name,
+        zone: name,
+      };
+    }
+  });
+
+  return { elevators, transferFloors };
+};
+
+/**
+ * planTransfer(sim, origin, destination)
+ * Transfer floor for a two-leg journey, or null if none works.
+ * Picks the transfer floor with the shortest total distance travelled.
+ */
+export const planTransfer = (sim, origin, destination) => {
+  const reachable = (from, to) =>
+    sim.elevators.some((e) => canServe(e, { origin: from, destination: to }));
+
+  let best = null;
+  let bestDistance = Infinity;
+  for (const t of sim.config.transferFloors || []) {
+    if (t === origin || t === destination) continue;
+    if (!reachable(origin, t) || !reachable(t, destination)) continue;
+    const distance = Math.abs(origin - t) + Math.abs(t - destination);
+    if (distance < bestDistance) {
+      best = t;
+      bestDistance = distance;
+    }
+  }
+  return best;
+};